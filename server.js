@@ -5,11 +5,71 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import { createSpeechPipeline } from './services/speechPipeline.js';
+import {
+  RISK_LEVELS,
+  assessUtterance,
+  assessReply,
+  requiresEscalation,
+  getCrisisResponse,
+  recordIncident
+} from './services/safety.js';
+import { createSessionStore, createMemorySessionStore } from './services/sessionStore.js';
+import {
+  createMemory,
+  appendMessage,
+  getContextWindow,
+  buildMemoryContext,
+  shouldSummarize,
+  summarizeHistory
+} from './services/conversationMemory.js';
+import {
+  findPersona,
+  getPersona,
+  listPersonas,
+  savePersona,
+  getRandomGreeting,
+  VOICE_NAME_PATTERN
+} from './services/personas.js';
+import {
+  getDefaultLocale,
+  resolveLocale,
+  detectLocale,
+  getLocaleCatalog,
+  getSupportedLocales,
+  listLocales,
+  localizeVoiceConfig,
+  getLanguageInstruction,
+  pickRandom
+} from './services/locales.js';
+import { chooseExpression } from './services/speakingStyle.js';
+import { findExercise, listExercises, buildScript, getExerciseTool, EXERCISE_TOOL_NAME } from './services/exercises.js';
+import { createAuthenticator, getHeaderCredentials, isAdmin } from './services/auth.js';
+import { createRateLimiter } from './services/rateLimiter.js';
+import { TRANSCRIPT_FORMATS, buildTranscript, renderTranscript } from './services/transcript.js';
+import { analyzeMood } from './services/mood.js';
+import { buildSessionAnalytics } from './services/analytics.js';
+import { buildSessionSummary, buildContinuityContext, createSummaryArchive, MAX_SUMMARIES_PER_USER } from './services/sessionSummary.js';
+import { createLogger, withLogContext } from './services/logger.js';
+import {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  negotiateProtocolVersion,
+  validateClientEvent,
+  validateServerEvent,
+  shouldValidateOutbound,
+  buildAsyncAPIDocument,
+  MAX_AUDIO_FRAME_BYTES
+} from './services/protocol.js';
+import { register as metricsRegister, registerRuntimeGauges, timeToFirstAudio, interrupts, fallbackReplies } from './services/metrics.js';
+import { getRequiredLLMEnv } from './services/llmProviders.js';
 
 // Get current directory for proper path resolution
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const logger = createLogger('server');
+
 // Import services with absolute paths
 // Dynamically import service modules with safe fallbacks so the app won't crash
 // if a service file is missing (prevents 'Module not found' runtime errors).
@@ -17,53 +77,151 @@ let getTherapistResponse = async () => {
   return "I'm here to listen, but the AI service is temporarily unavailable.";
 };
 
-let textToSpeech = (text, onChunk, onError, onComplete) => {
+// Streaming fallback delivers the whole reply as a single delta/sentence
+let streamTherapistResponse = async (userInput, conversationHistory, { onDelta, onSentence, systemPrompt } = {}) => {
+  const text = await getTherapistResponse(userInput, conversationHistory, { systemPrompt });
+  if (onDelta) onDelta(text);
+  if (onSentence) onSentence(text);
+  return text;
+};
+
+let classifySafetyRisk = async () => null;
+let classifyMood = async () => null;
+let summarizeConversation = async () => null;
+let summarizeSession = async () => null;
+
+let textToSpeech = (text, onChunk, onError, onComplete, options) => {
   // Minimal fallback synthesizer that immediately calls onComplete
   setTimeout(() => onComplete && onComplete(), 0);
   return { stop: () => {} };
 };
-let setVoiceGender = () => {};
-let getCurrentVoiceConfig = () => ({ gender: 'neutral', performance: 'balanced' });
-let getRandomConversationStarter = () => 'Hello, I\'m here to listen.';
-let setPerformanceMode = () => {};
+let getCurrentVoiceConfig = (voiceConfig = {}) => ({
+  gender: voiceConfig.gender || 'neutral',
+  name: voiceConfig.voiceName || null,
+  performanceMode: voiceConfig.performanceMode || 'balanced'
+});
 let cleanupSynthesizer = () => {};
+let getTTSInfo = () => ({ provider: 'none', format: null, mimeType: null, outputFormats: [], voices: [] });
+let getQueueStatus = () => ({ queueLength: 0, activeSynthesizers: 0 });
+let createRecognizer = () => {
+  throw new Error('Speech recognition is not available');
+};
+let AUDIO_FORMATS = { PCM16: 'pcm16' };
+let SAMPLE_RATES = [16000];
 
 try {
   const openrouter = await import('./services/openrouter-clean.js');
   if (openrouter && typeof openrouter.getTherapistResponse === 'function') {
     getTherapistResponse = openrouter.getTherapistResponse;
   }
+  if (openrouter && typeof openrouter.streamTherapistResponse === 'function') {
+    streamTherapistResponse = openrouter.streamTherapistResponse;
+  }
+  if (openrouter && typeof openrouter.classifySafetyRisk === 'function') {
+    classifySafetyRisk = openrouter.classifySafetyRisk;
+  }
+  if (openrouter && typeof openrouter.classifyMood === 'function') {
+    classifyMood = openrouter.classifyMood;
+  }
+  if (openrouter && typeof openrouter.summarizeConversation === 'function') {
+    summarizeConversation = openrouter.summarizeConversation;
+  }
+  if (openrouter && typeof openrouter.summarizeSession === 'function') {
+    summarizeSession = openrouter.summarizeSession;
+  }
 } catch (err) {
-  console.error('Optional module ./services/openrouter-clean.js not found or failed to load. Using fallback.');
+  logger.error('Optional module ./services/openrouter-clean.js not found or failed to load. Using fallback.', { error: err });
 }
 
 try {
   const azure = await import('./services/azureTTS-clean.js');
   if (azure) {
     if (typeof azure.textToSpeech === 'function') textToSpeech = azure.textToSpeech;
-    if (typeof azure.setVoiceGender === 'function') setVoiceGender = azure.setVoiceGender;
     if (typeof azure.getCurrentVoiceConfig === 'function') getCurrentVoiceConfig = azure.getCurrentVoiceConfig;
-    if (typeof azure.getRandomConversationStarter === 'function') getRandomConversationStarter = azure.getRandomConversationStarter;
-    if (typeof azure.setPerformanceMode === 'function') setPerformanceMode = azure.setPerformanceMode;
     if (typeof azure.cleanupSynthesizer === 'function') cleanupSynthesizer = azure.cleanupSynthesizer;
+    if (typeof azure.getTTSInfo === 'function') getTTSInfo = azure.getTTSInfo;
+    if (typeof azure.getQueueStatus === 'function') getQueueStatus = azure.getQueueStatus;
   }
 } catch (err) {
-  console.error('Optional module ./services/azureTTS-clean.js not found or failed to load. Using fallback.');
+  logger.error('Optional module ./services/azureTTS-clean.js not found or failed to load. Using fallback.', { error: err });
+}
+
+try {
+  const recognition = await import('./services/speechRecognition.js');
+  if (recognition) {
+    if (typeof recognition.createRecognizer === 'function') createRecognizer = recognition.createRecognizer;
+    if (recognition.AUDIO_FORMATS) AUDIO_FORMATS = recognition.AUDIO_FORMATS;
+    if (recognition.SAMPLE_RATES) SAMPLE_RATES = recognition.SAMPLE_RATES;
+  }
+} catch (err) {
+  logger.error('Optional module ./services/speechRecognition.js not found or failed to load. Using fallback.', { error: err });
 }
 
 dotenv.config();
 
-// Production logging optimization
 const isProduction = process.env.NODE_ENV === 'production';
-const log = (message, ...args) => {
-  if (!isProduction || process.env.DEBUG === 'true') {
-    console.log(message, ...args);
-  }
-};
 
-log('🚀 Starting AI Therapist Server...');
+logger.info('Starting AI Therapist Server');
+
+// Misconfigured auth must never fail open
+let authenticator;
+try {
+  authenticator = createAuthenticator();
+} catch (err) {
+  logger.error('Invalid authentication configuration', { error: err.message });
+  process.exit(1);
+}
+if (!authenticator.enabled && isProduction) {
+  logger.warn('AUTH_METHODS is not set - sockets and /api routes are open to anyone');
+}
+
+// Token buckets shared by socket events and /api routes
+let rateLimiter;
+try {
+  rateLimiter = await createRateLimiter();
+} catch (err) {
+  logger.error('Rate limit store failed to initialize, using memory store', { store: process.env.RATE_LIMIT_STORE, error: err.message });
+  rateLimiter = await createRateLimiter('memory');
+}
+
+/**
+ * Proxies in front of the server whose X-Forwarded-For is believed (Express "trust proxy"):
+ * a hop count, "true", "false" or a list of addresses/subnets. Production defaults to the
+ * one hop of the Railway/Render edge; without it every client would share the proxy's IP.
+ */
+function getTrustProxySetting(value = process.env.TRUST_PROXY) {
+  if (value === undefined || value === '') return isProduction ? 1 : false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Bucket key for a client: its user id when authenticated, otherwise its IP
+ */
+function getRateLimitKey(user, ip) {
+  return user && user.id ? `user:${user.id}` : `ip:${ip}`;
+}
+
+/**
+ * Client IP of a socket, read through the trusted proxies the same way as req.ip: the
+ * X-Forwarded-For hops are walked from the nearest until one isn't trusted
+ */
+function getSocketAddress(socket) {
+  const trust = app.get('trust proxy fn');
+  const forwarded = String(socket.handshake.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(hop => hop.trim())
+    .filter(Boolean)
+    .reverse();
+  const hops = [socket.handshake.address, ...forwarded];
+  for (let i = 0; i < hops.length - 1; i++) {
+    if (!trust(hops[i], i)) return hops[i];
+  }
+  return hops[hops.length - 1];
+}
 
 const app = express();
+app.set('trust proxy', getTrustProxySetting());
 const server = createServer(app);
 const io = new Server(server, {
   cors: {
@@ -90,7 +248,8 @@ app.use(cors({
 // Request timeout middleware (30 seconds for DigitalOcean App Platform)
 app.use((req, res, next) => {
   req.setTimeout(30000, () => {
-    res.status(408).json({ error: 'Request timeout' });
+    // Streaming responses (SSE chat) have already started and end on their own
+    if (!res.headersSent) res.status(408).json({ error: 'Request timeout' });
   });
   next();
 });
@@ -99,233 +258,1380 @@ app.use((req, res, next) => {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Session storage
+// Every /api route needs a valid JWT or API key (when auth is enabled)
+app.use('/api', (req, res, next) => {
+  try {
+    req.user = authenticator.authenticate(getHeaderCredentials(req.headers));
+    next();
+  } catch (err) {
+    res.status(err.status || 401).json({
+      success: false,
+      message: err.message,
+      code: err.code
+    });
+  }
+});
+
+app.use('/api', async (req, res, next) => {
+  const { allowed, retryAfterMs } = await rateLimiter.consume(
+    getRateLimitKey(req.user, req.ip || req.connection.remoteAddress),
+    rateLimiter.costOf(req.path.startsWith('/chat') ? 'chat' : 'http')
+  );
+  if (allowed) return next();
+
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    message: 'Too many requests. Please wait a moment.',
+    code: 'RATE_LIMITED',
+    retryAfter
+  });
+});
+
+// Socket handshakes carry credentials in `auth: { token }` / `auth: { apiKey }` or the same headers
+io.use((socket, next) => {
+  const { auth = {}, headers } = socket.handshake;
+  const headerCredentials = getHeaderCredentials(headers);
+  try {
+    socket.data.user = authenticator.authenticate({
+      token: auth.token || headerCredentials.token,
+      apiKey: auth.apiKey || headerCredentials.apiKey
+    });
+    next();
+  } catch (err) {
+    const error = new Error(err.message);
+    error.data = { code: err.code };
+    next(error);
+  }
+});
+
+// Protocol version: the highest version both sides speak (clients that don't say speak version 1)
+io.use((socket, next) => {
+  const requested = socket.handshake.auth?.protocolVersion ?? socket.handshake.query?.protocolVersion;
+  const version = negotiateProtocolVersion(requested);
+  if (version === null) {
+    const error = new Error('Unsupported protocol version');
+    error.data = { code: 'UNSUPPORTED_PROTOCOL_VERSION', supportedVersions: SUPPORTED_PROTOCOL_VERSIONS };
+    return next(error);
+  }
+  socket.data.protocolVersion = version;
+  next();
+});
+
+const VALIDATE_OUTBOUND = shouldValidateOutbound();
+
+// Live sessions keyed by socket.id (chat requests use CHAT_CONNECTION_PREFIX + session id)
 const sessions = new Map();
+const CHAT_CONNECTION_PREFIX = 'chat:';
+
+// Durable session state keyed by session token, so a reconnecting client can resume
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_MINUTES, 10) || 30) * 60000;
+async function openSessionStore(options) {
+  try {
+    return await createSessionStore(options);
+  } catch (err) {
+    logger.error('Session store failed to initialize, using memory store', { store: process.env.SESSION_STORE, error: err.message });
+    return createMemorySessionStore();
+  }
+}
+const sessionStore = await openSessionStore();
+
+// End-of-session notes get their own namespace in the store, so no session token can
+// read or overwrite them (SESSION_SUMMARY=false turns them off)
+const SESSION_SUMMARY = process.env.SESSION_SUMMARY !== 'false';
+const summaryStore = await openSessionStore({ namespace: 'summaries' });
+const summaryArchive = createSummaryArchive(summaryStore);
+
+const VOICE_GENDERS = ['male', 'female'];
+const PERFORMANCE_MODES = ['fast', 'balanced', 'quality'];
+
+/**
+ * Create a fresh per-socket session with the default persona and its voice
+ */
+function createSession(userId = null) {
+  const persona = getPersona();
+  return {
+    id: crypto.randomUUID(),
+    token: null,
+    userId,
+    createdAt: new Date().toISOString(),
+    turnCount: 0,
+    conversationHistory: [],
+    memory: createMemory(),
+    isActive: false,
+    region: null,
+    personaId: persona.id,
+    voiceConfig: {
+      ...persona.voice,
+      performanceMode: 'balanced'
+    },
+    // Opt-in timing events for avatar lip-sync and captions
+    speechEvents: { wordTimings: false, visemes: false },
+    // 'default' until the client picks a language ('requested') or one is detected ('detected')
+    locale: getDefaultLocale(),
+    localeSource: 'default',
+    // Guided exercise in progress or paused: { exercise, script, step, status, utteranceId }
+    exercise: null,
+    // Notes from the user's previous session, carried into this one (see sessionSummary.js)
+    previousSummary: null
+  };
+}
+
+/**
+ * Switch a session to a persona. The persona's voice replaces any custom voice,
+ * the performance mode is kept.
+ */
+function applyPersona(session, persona) {
+  session.personaId = persona.id;
+  session.voiceConfig = {
+    ...persona.voice,
+    performanceMode: session.voiceConfig.performanceMode
+  };
+}
+
+/**
+ * A session's voice config with the voice and SSML language matched to its locale
+ */
+function getSessionVoiceConfig(session) {
+  return localizeVoiceConfig(session.voiceConfig, session.locale);
+}
+
+/**
+ * Greeting in the session's language. Persona greetings are written in English, so
+ * other languages use their catalog's greetings.
+ */
+function getSessionGreeting(session) {
+  const catalog = getLocaleCatalog(session.locale);
+  // A returning client is welcomed back to what they talked about (notes in another language aren't quoted)
+  const previous = session.previousSummary;
+  if (previous && previous.locale === catalog.locale && previous.themes.length > 0 && catalog.welcomeBack) {
+    return catalog.welcomeBack.replace('{theme}', previous.themes[0]);
+  }
+  return catalog.language === 'en' ? getRandomGreeting(getPersona(session.personaId)) : pickRandom(catalog.greetings);
+}
+
+/**
+ * The user's latest end-of-session notes, to continue from in a new session
+ * @returns {Promise<Object|null>} - null for anonymous users or when there are none
+ */
+async function loadPreviousSummary(userId) {
+  if (!SESSION_SUMMARY || !userId) return null;
+  try {
+    const [latest] = await summaryArchive.listForUser(userId, 1);
+    return latest || null;
+  } catch (err) {
+    logger.error('Error loading previous session summary', { error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Write and archive the notes for a session that was just ended
+ * @returns {Promise<Object|null>} - The summary, or null when the client never said anything
+ */
+async function summarizeEndedSession(session) {
+  const summary = await buildSessionSummary(session, {
+    summarizer: summarizeSession,
+    language: getLocaleCatalog(session.locale).englishName
+  });
+  if (!summary) return null;
+
+  try {
+    await summaryArchive.save(summary);
+  } catch (err) {
+    logger.error('Error archiving session summary', { error: err.message });
+  }
+  return summary;
+}
+
+/**
+ * Persona fields clients need to present the therapist
+ */
+function describePersona(session) {
+  const { id, displayName, description } = getPersona(session.personaId);
+  return { id, displayName, description };
+}
+
+/**
+ * Export a session's history in one of TRANSCRIPT_FORMATS
+ * @returns {{ format: string, mimeType: string, filename: string, content: string }}
+ */
+function exportTranscript(session, { format, annotations }) {
+  const transcript = buildTranscript(session, {
+    persona: getPersona(session.personaId),
+    voiceConfig: getCurrentVoiceConfig(getSessionVoiceConfig(session)),
+    annotations
+  });
+  const { mimeType, extension } = TRANSCRIPT_FORMATS[format];
+  const date = (session.createdAt || transcript.exportedAt).slice(0, 10);
+  return {
+    format,
+    mimeType,
+    filename: `session-${date}.${extension}`,
+    content: renderTranscript(transcript, format)
+  };
+}
+
+/**
+ * Log context for a session. The session id is a log identifier only (never the resume token);
+ * the correlation ID adds the current turn.
+ */
+function getSessionLogFields(session) {
+  return {
+    sessionId: session.id,
+    turn: session.turnCount,
+    correlationId: `${session.id}:${session.turnCount}`
+  };
+}
+
+/**
+ * Issue an unguessable session token (bearer secret for resumeSession)
+ */
+function generateSessionToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * True for a string shaped like a session token
+ */
+function isSessionToken(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9_-]{1,100}$/.test(value);
+}
+
+/**
+ * The stored session for a token, or null. Anything in the store that isn't a session
+ * (no conversation history) is treated as missing. Store errors are thrown.
+ */
+async function loadStoredSession(sessionToken) {
+  if (!isSessionToken(sessionToken)) return null;
+  const stored = await sessionStore.get(sessionToken);
+  return Array.isArray(stored?.conversationHistory) ? stored : null;
+}
+
+/**
+ * Persist the resumable part of a session and refresh its TTL
+ */
+async function saveSession(session) {
+  // Detached sessions were ended or taken over - an in-flight turn must not resurrect them
+  if (!session || !session.token || session.detached) return;
+  try {
+    await sessionStore.set(session.token, {
+      id: session.id,
+      createdAt: session.createdAt,
+      turnCount: session.turnCount,
+      userId: session.userId,
+      conversationHistory: session.conversationHistory,
+      memory: session.memory,
+      region: session.region,
+      personaId: session.personaId,
+      voiceConfig: session.voiceConfig,
+      speechEvents: session.speechEvents,
+      locale: session.locale,
+      localeSource: session.localeSource,
+      previousSummary: session.previousSummary
+    }, SESSION_TTL_MS);
+  } catch (err) {
+    logger.error('Error saving session', { error: err.message });
+  }
+}
+
+/**
+ * True for a voice the active TTS provider lists (e.g. the offline stand-in's voices)
+ */
+function isProviderVoice(voiceName) {
+  return getTTSInfo().voices.some(voice => voice.name === voiceName);
+}
+
+/**
+ * Validate requested voice settings
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateVoiceSettings({ gender, voiceName, performanceMode }) {
+  if (gender && !VOICE_GENDERS.includes(gender)) {
+    return 'Invalid gender. Must be "male" or "female"';
+  }
+  if (voiceName && (typeof voiceName !== 'string' || !(VOICE_NAME_PATTERN.test(voiceName) || isProviderVoice(voiceName)))) {
+    return 'Invalid voice name. Must be an Azure neural voice such as "en-US-AvaNeural"';
+  }
+  if (performanceMode && !PERFORMANCE_MODES.includes(performanceMode)) {
+    return 'Invalid performance mode. Must be "fast", "balanced", or "quality"';
+  }
+  return null;
+}
+
+/**
+ * Apply validated voice settings to a session.
+ * Picking a gender without a voice name resets to that gender's default voice.
+ */
+function applyVoiceSettings(session, { gender, voiceName, performanceMode }) {
+  if (gender) {
+    session.voiceConfig.gender = gender;
+    session.voiceConfig.voiceName = null;
+    session.voiceConfig.style = null;
+  }
+  if (voiceName) {
+    session.voiceConfig.voiceName = voiceName;
+  }
+  if (performanceMode) {
+    session.voiceConfig.performanceMode = performanceMode;
+  }
+  return getCurrentVoiceConfig(getSessionVoiceConfig(session));
+}
 
 // Active TTS synthesizers for interruption
 const activeSynthesizers = new Map();
 
+// Per connection: cuts the last reply in history down to what the client heard (see createConversation)
+const replySettlers = new Map();
+
+/**
+ * Stop whatever a connection is currently saying (TTS and the LLM stream feeding it) and keep
+ * only the part of the reply the client heard. A reason counts the stop as an interruption.
+ */
+function stopActiveResponse(connectionId, reason) {
+  const synthesizer = activeSynthesizers.get(connectionId);
+  if (synthesizer) {
+    if (reason) interrupts.inc({ reason });
+    try {
+      synthesizer.stop();
+    } catch (err) {
+      logger.error('Error stopping TTS', { error: err.message });
+    } finally {
+      activeSynthesizers.delete(connectionId);
+    }
+  }
+
+  const session = sessions.get(connectionId);
+  const settleInterruptedReply = replySettlers.get(connectionId);
+  if (session && settleInterruptedReply) settleInterruptedReply(session);
+}
+
+/**
+ * A token can only drive one connection - detach it from any other socket (or chat request)
+ */
+function takeOverSession(sessionToken, connectionId) {
+  for (const [otherId, otherSession] of sessions) {
+    if (otherId !== connectionId && otherSession.token === sessionToken) {
+      stopActiveResponse(otherId);
+      otherSession.detached = true;
+      // A chat request has no connection to keep - its binding just goes away
+      if (otherId.startsWith(CHAT_CONNECTION_PREFIX)) {
+        sessions.delete(otherId);
+        continue;
+      }
+      sessions.set(otherId, createSession(otherSession.userId));
+      io.to(otherId).emit('sessionTakenOver');
+    }
+  }
+}
+
+// Active server-side speech recognizers (one per socket)
+const activeRecognizers = new Map();
+
+/**
+ * Decode a `userAudio` frame: a base64 string or binary data (Buffer, ArrayBuffer, typed array)
+ * @returns {Buffer|null} - null for anything else
+ */
+function decodeAudioFrame(audio) {
+  if (typeof audio === 'string') return Buffer.from(audio, 'base64');
+  if (Buffer.isBuffer(audio)) return audio;
+  if (audio instanceof ArrayBuffer) return Buffer.from(audio);
+  if (ArrayBuffer.isView(audio)) return Buffer.from(audio.buffer, audio.byteOffset, audio.byteLength);
+  return null;
+}
+
+// Check each reply sentence before it is shown or spoken (SAFETY_CHECK_REPLIES=false to disable)
+const CHECK_REPLIES = process.env.SAFETY_CHECK_REPLIES !== 'false';
+
+// Detect the session language from the first utterances unless the client picked one
+// (LOCALE_DETECTION=false keeps DEFAULT_LOCALE)
+const DETECT_LOCALE = process.env.LOCALE_DETECTION !== 'false';
+
+// Pick the speaking style and pace per reply sentence from its tone and the client's mood
+// (ADAPTIVE_SPEECH_STYLE=false keeps each voice's fixed style)
+const ADAPTIVE_STYLE = process.env.ADAPTIVE_SPEECH_STYLE !== 'false';
+
+// Offer the model a tool for starting guided exercises (EXERCISE_TOOL=false for models without tool calling)
+const EXERCISE_TOOL = process.env.EXERCISE_TOOL !== 'false';
+
+// Utterances the session language is detected from
+const LOCALE_DETECTION_TURNS = 3;
+
+/**
+ * True when an utterance can still change the session language: the client didn't pick
+ * one and it is among the first LOCALE_DETECTION_TURNS
+ * @param {number} turn - The utterance's turn number (1 for the first)
+ */
+function isLocaleDetectionTurn(session, turn) {
+  return DETECT_LOCALE && session.localeSource === 'default' && turn <= LOCALE_DETECTION_TURNS;
+}
+
 // Greeting message
 // Dynamic greeting messages - now using randomized conversation starters
 // const GREETING_MESSAGE = "Hello, I'm your AI therapist. I'm here to listen and support you. Please tell me what's on your mind today."; // OLD static message
 
+/**
+ * Wrap an emit function with the development check that what we send matches the published protocol
+ */
+function checkOutbound(emit) {
+  return (event, ...args) => {
+    const problems = validateServerEvent(event, args[0]);
+    if (problems) {
+      logger.warn('Outbound payload does not match the protocol', { event, problems });
+    }
+    return emit(event, ...args);
+  };
+}
+
+/**
+ * Conversation turns for one connection: replies, speech, safety escalation and guided
+ * exercises. `socket` is anything with an `id` (its key in `sessions`) and an `emit`:
+ * a Socket.IO socket, or a chat request (see /api/chat). With `audio: false` nothing is
+ * synthesized and every utterance ends as soon as its text has been sent.
+ */
+function createConversation(socket, { audio = true } = {}) {
+  const emitNoSession = () => {
+    socket.emit('error', { message: 'No active session', code: 'SESSION_NOT_FOUND' });
+  };
+
+  let utteranceCounter = 0;
+
+  // The latest utterance and the history message it speaks ({ id, pipeline, message }).
+  // Playback runs behind synthesis, so it stays interruptible after its audio has been sent.
+  let lastUtterance = null;
+
+  // Utterances still being spoken, and callers waiting for the last one to end
+  let openUtterances = 0;
+  let idleWaiters = [];
+
+  /**
+   * Create an ordered speech pipeline for one utterance. Audio goes out as sequence-numbered
+   * `aiAudio` chunks as soon as the TTS provider renders them, followed by an `aiAudioEnd` marker.
+   */
+  const createUtterance = (session, { onError, onEnd, onFirstAudio, onSentenceStart } = {}) => {
+    const utteranceId = ++utteranceCounter;
+    const { mimeType } = getTTSInfo();
+    const { wordTimings, visemes } = session.speechEvents;
+    openUtterances++;
+    const pipeline = createSpeechPipeline({
+      synthesize: audio
+        ? (sentence, onAudioChunk, onSynthesisError, onComplete, { expression, ...timing }) =>
+          textToSpeech(sentence, onAudioChunk, onSynthesisError, onComplete, {
+            sessionId: socket.id,
+            voiceConfig: { ...getSessionVoiceConfig(session), expression },
+            ...timing
+          })
+        // Completing on the next tick keeps events in the same order as with synthesis
+        : (sentence, onAudioChunk, onSynthesisError, onComplete) => {
+          const timer = setImmediate(onComplete);
+          return { stop: () => clearImmediate(timer) };
+        },
+      onAudio: (audioChunk, { sequence, sentence }) => {
+        if (sequence === 0 && onFirstAudio) onFirstAudio();
+        socket.emit('aiAudio', { audio: audioChunk, format: mimeType, utteranceId, sequence, sentence });
+      },
+      // Offsets are relative to the start of the sentence's aiAudio chunks
+      onWordTiming: wordTimings ? (timing) => socket.emit('aiWordTiming', { utteranceId, ...timing }) : undefined,
+      onViseme: visemes ? (viseme) => socket.emit('aiViseme', { utteranceId, ...viseme }) : undefined,
+      onSentenceStart,
+      onError,
+      onEnd: (summary) => {
+        socket.emit('aiAudioEnd', { utteranceId, ...summary });
+        if (onEnd) onEnd(summary);
+        // Counted after onEnd, so an exercise started by the reply keeps the conversation busy
+        if (--openUtterances === 0) {
+          idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+      }
+    });
+    lastUtterance = { id: utteranceId, pipeline, message: null };
+    return pipeline;
+  };
+
+  /**
+   * Link an utterance to the history message it speaks, so an interruption can cut the message short
+   */
+  const trackReply = (pipeline, message) => {
+    if (lastUtterance && lastUtterance.pipeline === pipeline) {
+      lastUtterance.message = message;
+    }
+  };
+
+  /**
+   * After an interruption, cut the last reply in history down to what the client heard
+   */
+  const settleInterruptedReply = (session) => {
+    if (!lastUtterance || !lastUtterance.message) return;
+    const { pipeline, message } = lastUtterance;
+    lastUtterance.message = null;
+
+    const spoken = pipeline.getSpoken();
+    if (spoken.complete) return;
+    logger.debug('Reply cut short', { heardChars: spoken.text.length, totalChars: message.content.length });
+    message.content = spoken.text;
+    message.interrupted = true;
+    saveSession(session);
+  };
+
+  /**
+   * Speak a complete, fixed text (greeting, fallback, crisis response) as one interruptible utterance.
+   * `message` is its history message, if it has one.
+   */
+  const speakText = (session, text, { message, expression, onError, onEnd } = {}) => {
+    const utterance = createUtterance(session, {
+      onError,
+      onEnd: (summary) => {
+        // Clean up when synthesis completes
+        if (activeSynthesizers.get(socket.id) === synthesizer) {
+          activeSynthesizers.delete(socket.id);
+        }
+        if (onEnd) onEnd(summary);
+      }
+    });
+    const synthesizer = { stop: () => utterance.cancel() };
+    if (message) trackReply(utterance, message);
+
+    activeSynthesizers.set(socket.id, synthesizer);
+    utterance.push(text, { expression });
+    utterance.end();
+  };
+
+  /**
+   * Replace the normal reply with the vetted crisis response and notify the client
+   */
+  const escalateSafety = (session, assessment, source, text) => {
+    const { text: crisisText, resources } = getCrisisResponse(session.region, session.locale);
+    const incident = recordIncident({ sessionId: session.id, source, assessment, text });
+    logger.warn('Safety escalation', { incidentId: incident.id, source, riskLevel: assessment.level, categories: assessment.categories });
+
+    socket.emit('safetyEscalation', {
+      level: assessment.level,
+      categories: assessment.categories,
+      source,
+      resources
+    });
+    socket.emit('aiResponse', { text: crisisText, safety: true });
+    const message = appendMessage(session, {
+      role: 'assistant',
+      content: crisisText,
+      safety: { level: assessment.level, categories: assessment.categories, crisisResponse: true }
+    });
+
+    speakText(session, crisisText, {
+      message,
+      expression: ADAPTIVE_STYLE ? chooseExpression(crisisText, { tone: 'calm' }) : undefined,
+      onError: (error) => {
+        logger.error('TTS error for crisis response', { error });
+      }
+    });
+  };
+
+  /**
+   * End the session's guided exercise and note in the history how far it got
+   */
+  const finishExercise = (session, completed) => {
+    const run = session.exercise;
+    if (!run) return;
+    session.exercise = null;
+
+    const { exercise, script } = run;
+    const step = completed ? script.length : run.step;
+    appendMessage(session, {
+      role: 'assistant',
+      content: completed
+        ? `[Guided exercise: ${exercise.title} - completed]`
+        : `[Guided exercise: ${exercise.title} - stopped at step ${step + 1} of ${script.length}]`,
+      exercise: { id: exercise.id, completed, step }
+    });
+    socket.emit('exerciseEnded', { exerciseId: exercise.id, completed, step, totalSteps: script.length });
+    saveSession(session);
+  };
+
+  /**
+   * Speak the session's exercise from its current step as one utterance. An interruption
+   * pauses it at the first step the client didn't hear in full.
+   */
+  const runExercise = (session) => {
+    const run = session.exercise;
+    const { exercise, script } = run;
+    const firstStep = run.step;
+    const expression = ADAPTIVE_STYLE ? chooseExpression('', { tone: exercise.tone }) : {};
+    run.status = 'running';
+
+    const utterance = createUtterance(session, {
+      onSentenceStart: (sentence) => {
+        const step = firstStep + sentence;
+        const { kind, text, pauseMs, round } = script[step];
+        socket.emit('exerciseStep', {
+          exerciseId: exercise.id,
+          utteranceId: run.utteranceId,
+          sentence,
+          step,
+          totalSteps: script.length,
+          kind,
+          round,
+          text,
+          pauseMs
+        });
+      },
+      onError: (error) => {
+        logger.error('TTS error for exercise', { error });
+        socket.emit('error', { message: 'Voice synthesis failed: ' + error, code: 'TTS_FAILED' });
+      },
+      onEnd: ({ interrupted }) => {
+        if (activeSynthesizers.get(socket.id) === synthesizer) {
+          activeSynthesizers.delete(socket.id);
+        }
+        // Stopped or replaced by another exercise
+        if (session.exercise !== run) return;
+
+        if (interrupted) {
+          run.step = Math.min(script.length - 1, firstStep + utterance.getHeardSentences());
+          if (run.status === 'stopping') return;
+          run.status = 'paused';
+          logger.debug('Exercise paused', { exercise: exercise.id, step: run.step });
+          socket.emit('exercisePaused', { exerciseId: exercise.id, step: run.step, totalSteps: script.length });
+          return;
+        }
+        finishExercise(session, true);
+        socket.emit('readyToListen');
+      }
+    });
+    const synthesizer = { stop: () => utterance.cancel() };
+    run.utteranceId = lastUtterance.id;
+    activeSynthesizers.set(socket.id, synthesizer);
+
+    socket.emit('exerciseStarted', {
+      exerciseId: exercise.id,
+      title: exercise.title,
+      utteranceId: run.utteranceId,
+      step: firstStep,
+      totalSteps: script.length,
+      rounds: exercise.rounds,
+      resumed: firstStep > 0
+    });
+    for (const { text, pauseMs } of script.slice(firstStep)) {
+      utterance.push(text, { expression: { ...expression, pauseMs } });
+    }
+    utterance.end();
+  };
+
+  /**
+   * Start a guided exercise, or resume it when the same one is paused. Whatever is
+   * playing stops first; a different paused exercise is ended.
+   */
+  const startGuidedExercise = (session, exercise, source) => {
+    stopActiveResponse(socket.id);
+
+    if (session.exercise && session.exercise.exercise.id !== exercise.id) {
+      finishExercise(session, false);
+    }
+    if (!session.exercise) {
+      session.exercise = { exercise, script: buildScript(exercise), step: 0, status: 'paused', utteranceId: null };
+    }
+    logger.info('Starting exercise', { exercise: exercise.id, step: session.exercise.step, source });
+    runExercise(session);
+  };
+
+  /**
+   * Settle the session language from the client's first utterances. The recognizer's
+   * language wins when it reported one; otherwise the typed or transcribed text is used.
+   */
+  const detectSessionLocale = (session, text, spokenLanguage) => {
+    if (!isLocaleDetectionTurn(session, session.turnCount)) return;
+
+    const earlierText = session.conversationHistory
+      .filter(message => message.role === 'user')
+      .map(message => message.content)
+      .join(' ');
+    const detected = resolveLocale(spokenLanguage) || detectLocale(`${earlierText} ${text}`);
+    if (!detected) return;
+
+    session.localeSource = 'detected';
+    if (detected !== session.locale) {
+      logger.info('Session language detected', { from: session.locale, to: detected });
+      session.locale = detected;
+      socket.emit('localeChanged', { locale: detected, source: 'detected' });
+    }
+  };
+
+  // Step 2-4: Voice transcribed -> Stream from OpenRouter -> Speak each sentence as it completes
+  const handleUserSpeech = async (text, { language } = {}) => {
+    const session = sessions.get(socket.id);
+    if (!session) {
+      emitNoSession();
+      return;
+    }
+    if (!text || typeof text !== 'string' || text.trim().length === 0 || text.length > 1000) {
+      logger.debug('Ignoring invalid text input');
+      return;
+    }
+
+    const cleanText = text.trim();
+    if (cleanText.length < 2) {
+      logger.debug('Ignoring utterance that is too short');
+      return;
+    }
+
+    // Each utterance is a new turn; its logs and LLM/TTS calls carry the turn's correlation ID
+    session.turnCount++;
+    return withLogContext(getSessionLogFields(session), () => respondToUtterance(session, cleanText, language));
+  };
+
+  const respondToUtterance = async (session, cleanText, spokenLanguage) => {
+    logger.debug('User speech', { text: cleanText });
+    detectSessionLocale(session, cleanText, spokenLanguage);
+
+    // Stop any current TTS (and the LLM stream feeding it)
+    stopActiveResponse(socket.id, 'new_utterance');
+
+    const turnStartedAt = Date.now();
+
+    // Safety check before the LLM sees the utterance; mood scoring runs alongside it
+    const [assessment, mood] = await Promise.all([
+      assessUtterance(cleanText, {
+        llmClassifier: classifySafetyRisk,
+        locale: session.localeSource === 'default' ? null : session.locale
+      }),
+      analyzeMood(cleanText, { llmAnalyzer: classifyMood })
+    ]);
+
+    // Earlier turns reach the model as a running summary; recent ones verbatim
+    const systemContext = [];
+    if (session.previousSummary) {
+      systemContext.push(buildContinuityContext(session.previousSummary));
+    }
+    const memoryContext = buildMemoryContext(session.memory);
+    if (memoryContext) {
+      systemContext.push(memoryContext);
+    }
+    const languageInstruction = getLanguageInstruction(session.locale);
+    if (languageInstruction) {
+      systemContext.push(languageInstruction);
+    }
+    if (session.exercise) {
+      const { exercise, script, step } = session.exercise;
+      systemContext.push(`The guided ${exercise.title} exercise is paused at step ${step + 1} of ${script.length} because the client spoke.` +
+        (EXERCISE_TOOL ? ` If they want to carry on, call ${EXERCISE_TOOL_NAME} with "${exercise.id}" to resume it.` : ''));
+    }
+    const contextMessages = getContextWindow(session);
+
+    // Non-trivial risk is kept on the message for transcript annotations
+    const safetyAnnotation = assessment.level === RISK_LEVELS.NONE
+      ? undefined
+      : { level: assessment.level, categories: assessment.categories };
+
+    if (requiresEscalation(assessment)) {
+      appendMessage(session, { role: 'user', content: cleanText.substring(0, 500), safety: safetyAnnotation, mood });
+      escalateSafety(session, assessment, 'user', cleanText);
+      saveSession(session);
+      return;
+    }
+
+    if (assessment.level === RISK_LEVELS.MEDIUM) {
+      recordIncident({ sessionId: session.id, source: 'user', assessment, text: cleanText });
+      systemContext.push(`Safety note: the client's last message may indicate risk (${assessment.categories.join(', ')}). Respond with extra care, gently check in about their safety right now, and let them know crisis support is available.`);
+    }
+
+    // One turn = one upstream LLM stream + one ordered sentence pipeline.
+    // Stopping the turn aborts the HTTP stream and drops any queued sentence audio.
+    const turnController = new AbortController();
+
+    // Milliseconds from the utterance to the first reply text, first audio and complete reply.
+    // The reply's history message shares this object, so audio that lands later still counts.
+    const latency = { firstTextMs: null, firstAudioMs: null, totalMs: null };
+    const markFirstText = () => {
+      if (latency.firstTextMs === null) latency.firstTextMs = Date.now() - turnStartedAt;
+    };
+
+    const pipeline = createUtterance(session, {
+      onFirstAudio: () => {
+        latency.firstAudioMs = Date.now() - turnStartedAt;
+        timeToFirstAudio.observe({ performance_mode: session.voiceConfig.performanceMode }, latency.firstAudioMs / 1000);
+      },
+      onError: (error) => {
+        logger.error('TTS error for AI response', { error });
+        socket.emit('error', { message: 'Voice synthesis failed: ' + error, code: 'TTS_FAILED' });
+      },
+      onEnd: ({ interrupted }) => {
+        // Clean up when every sentence has been synthesized
+        if (activeSynthesizers.get(socket.id) === turn) {
+          activeSynthesizers.delete(socket.id);
+        }
+        // An exercise the model asked for starts once its lead-in has been spoken
+        if (requestedExercise && !interrupted && sessions.get(socket.id) === session) {
+          startGuidedExercise(session, requestedExercise, 'model');
+        }
+      }
+    });
+    const turn = {
+      stop: () => {
+        turnController.abort();
+        pipeline.cancel();
+      }
+    };
+    activeSynthesizers.set(socket.id, turn);
+
+    // Set when a reply sentence fails the safety check; the rest of the turn is dropped
+    let unsafeReply = null;
+    // Set when the model calls the exercise tool
+    let requestedExercise = null;
+
+    try {
+      // Add user message to conversation history (limit message length)
+      appendMessage(session, {
+        role: 'user',
+        content: cleanText.substring(0, 500), // Limit message length
+        safety: safetyAnnotation,
+        mood
+      });
+
+      // Stream AI response from OpenRouter, handing each sentence to TTS as soon as it completes
+      // With reply checks on, text is released a sentence at a time once it has passed
+      const aiResponse = await streamTherapistResponse(cleanText.substring(0, 500), contextMessages, {
+        signal: turnController.signal,
+        systemContext,
+        systemPrompt: getPersona(session.personaId).systemPrompt,
+        locale: session.locale,
+        toneTags: ADAPTIVE_STYLE,
+        tools: EXERCISE_TOOL ? [getExerciseTool()] : undefined,
+        onToolCall: ({ name, arguments: args }) => {
+          if (name !== EXERCISE_TOOL_NAME) return;
+          requestedExercise = findExercise(args.exercise);
+          if (!requestedExercise) logger.warn('Model asked for an unknown exercise', { exercise: args.exercise });
+        },
+        onDelta: (delta) => {
+          if (!CHECK_REPLIES && !turnController.signal.aborted) {
+            markFirstText();
+            socket.emit('aiResponseDelta', { text: delta });
+          }
+        },
+        onSentence: (sentence, { tone } = {}) => {
+          if (turnController.signal.aborted) return;
+          if (CHECK_REPLIES) {
+            const replyAssessment = assessReply(sentence);
+            if (requiresEscalation(replyAssessment)) {
+              unsafeReply = { assessment: replyAssessment, sentence };
+              turn.stop();
+              return;
+            }
+            markFirstText();
+            socket.emit('aiResponseDelta', { text: sentence + ' ' });
+          }
+          pipeline.push(sentence, {
+            expression: ADAPTIVE_STYLE ? chooseExpression(sentence, { tone, mood }) : undefined
+          });
+        }
+      });
+      pipeline.end();
+      latency.totalMs = Date.now() - turnStartedAt;
+
+      if (unsafeReply) {
+        escalateSafety(session, unsafeReply.assessment, 'assistant', unsafeReply.sentence);
+        return;
+      }
+
+      if (turnController.signal.aborted) {
+        // Interrupted - keep what the client heard so the model knows where it was cut off
+        const spoken = pipeline.getSpoken();
+        if (spoken.text) {
+          appendMessage(session, { role: 'assistant', content: spoken.text, interrupted: true, latency });
+        }
+        return;
+      }
+
+      // A bare tool call has no text; the exercise starts as soon as the empty reply ends
+      if (!aiResponse && !requestedExercise) {
+        throw new Error('No response from AI service');
+      }
+
+      if (aiResponse) {
+        // Send the complete AI response text to frontend
+        socket.emit('aiResponse', { text: aiResponse });
+
+        // Add AI response to conversation history; an interruption during playback shortens it
+        trackReply(pipeline, appendMessage(session, { role: 'assistant', content: aiResponse, latency }));
+      }
+
+    } catch (error) {
+      logger.error('Error processing user speech', { error });
+      pipeline.cancel();
+
+      // Send fallback response
+      const fallbackResponse = getLocaleCatalog(session.locale).turnErrorReply;
+      fallbackReplies.inc({ reason: 'turn_error' });
+      socket.emit('aiResponse', { text: fallbackResponse });
+
+      // Convert fallback to TTS
+      speakText(session, fallbackResponse, {
+        onError: (error) => {
+          logger.error('TTS error for fallback', { error });
+        }
+      });
+    } finally {
+      saveSession(session);
+
+      // Compress older turns in the background once the verbatim history is over budget
+      if (shouldSummarize(session)) {
+        summarizeHistory(session, summarizeConversation).then((updated) => {
+          if (updated) saveSession(session);
+        });
+      }
+    }
+  };
+
+  /**
+   * Resolve once nothing is being spoken (including an exercise a reply started)
+   */
+  const whenIdle = () => {
+    if (openUtterances === 0) return Promise.resolve();
+    return new Promise(resolve => idleWaiters.push(resolve));
+  };
+
+  /**
+   * Apply a playback position reported for the latest utterance
+   */
+  const acknowledgePlayback = (utteranceId, position) => {
+    if (!lastUtterance || lastUtterance.id !== utteranceId) return;
+    lastUtterance.pipeline.acknowledge(position);
+  };
+
+  // Every stop of this connection's reply goes through stopActiveResponse, which settles it here
+  replySettlers.set(socket.id, settleInterruptedReply);
+
+  return {
+    emitNoSession,
+    speakText,
+    finishExercise,
+    startGuidedExercise,
+    handleUserSpeech,
+    acknowledgePlayback,
+    whenIdle
+  };
+}
+
 io.on('connection', (socket) => {
-  log(`Client connected: ${socket.id}`);
-  sessions.set(socket.id, {
-    conversationHistory: [],
-    isActive: false
+  logger.info('Client connected', { socketId: socket.id, userId: socket.data.user.id });
+  const userId = socket.data.user.id;
+  sessions.set(socket.id, createSession(userId));
+
+  // Development check that what we send matches the published protocol
+  if (VALIDATE_OUTBOUND) {
+    socket.emit = checkOutbound(socket.emit.bind(socket));
+  }
+
+  socket.emit('protocol', { version: socket.data.protocolVersion, supportedVersions: SUPPORTED_PROTOCOL_VERSIONS });
+
+  const rateLimitKey = getRateLimitKey(socket.data.user, getSocketAddress(socket));
+
+  /**
+   * Spend this client's tokens for an event; tells the client when to retry if it can't
+   */
+  const takeTokens = async (event) => {
+    const { allowed, retryAfterMs } = await rateLimiter.consume(rateLimitKey, rateLimiter.costOf(event));
+    if (!allowed) {
+      socket.emit('rateLimited', { event, retryAfter: Math.ceil(retryAfterMs / 1000), retryAfterMs });
+    }
+    return allowed;
+  };
+
+  // Rate-limited events are dropped before their handlers run; the rest run in the socket's log context
+  socket.use(async ([event], next) => {
+    if (!(await takeTokens(event))) return;
+    const session = sessions.get(socket.id);
+    withLogContext({ socketId: socket.id, ...(session ? getSessionLogFields(session) : {}) }, next);
+  });
+
+  // Payloads that don't match the protocol are rejected with a structured error
+  socket.use(([event, payload], next) => {
+    const problem = validateClientEvent(event, payload);
+    if (problem) {
+      logger.debug('Rejected inbound event', { event, code: problem.code, details: problem.details });
+      socket.emit('error', { ...problem, event });
+      return;
+    }
+    next();
   });
 
+  const {
+    emitNoSession,
+    speakText,
+    finishExercise,
+    startGuidedExercise,
+    handleUserSpeech,
+    acknowledgePlayback
+  } = createConversation(socket);
+
   // Step 1: Button pressed -> Play greeting via Azure TTS and start recording
-  socket.on('startSession', async () => {
-    log(`Starting session for ${socket.id}`);
+  socket.on('startSession', async ({ region, persona: personaId, speechEvents, locale: requestedLocale, continuity } = {}) => {
+    logger.info('Starting session');
+    const persona = personaId == null ? null : findPersona(personaId);
+    if (personaId != null && !persona) {
+      socket.emit('error', { message: 'Unknown persona', code: 'UNKNOWN_PERSONA', event: 'startSession' });
+      return;
+    }
+    const locale = requestedLocale == null ? null : resolveLocale(requestedLocale);
+    if (requestedLocale != null && !locale) {
+      socket.emit('error', {
+        message: `Unsupported locale. Must be one of: ${getSupportedLocales().join(', ')}`,
+        code: 'UNSUPPORTED_LOCALE',
+        event: 'startSession'
+      });
+      return;
+    }
+
     let session = sessions.get(socket.id);
     if (!session) {
       // Create a new session if missing (handles restart after endSession)
-      session = {
-        conversationHistory: [],
-        isActive: false
-      };
+      session = createSession(userId);
       sessions.set(socket.id, session);
     }
 
+    if (persona) {
+      applyPersona(session, persona);
+    }
+
     session.isActive = true;
+    // Region (ISO 3166 alpha-2) selects crisis hotline resources
+    if (typeof region === 'string' && /^[A-Za-z]{2}$/.test(region)) {
+      session.region = region.toUpperCase();
+    }
+    if (locale) {
+      session.locale = locale;
+      session.localeSource = 'requested';
+    }
+
+    // A new conversation picks up from the user's previous session unless the client opts out
+    if (session.conversationHistory.length === 0) {
+      session.previousSummary = continuity === false ? null : await loadPreviousSummary(userId);
+      // Start in the language they spoke last time; detection can still change it
+      const previousLocale = session.previousSummary && resolveLocale(session.previousSummary.locale);
+      if (previousLocale && session.localeSource === 'default') {
+        session.locale = previousLocale;
+      }
+    }
+    if (speechEvents) {
+      session.speechEvents = {
+        wordTimings: speechEvents.wordTimings === true,
+        visemes: speechEvents.visemes === true
+      };
+    }
+
+    // Issue a token the client can use to resume after a reconnect
+    if (!session.token) {
+      session.token = generateSessionToken();
+    }
+    await saveSession(session);
+    socket.emit('sessionToken', {
+      sessionToken: session.token,
+      expiresIn: SESSION_TTL_MS / 1000,
+      persona: describePersona(session),
+      locale: session.locale
+    });
 
     try {
-      // Send personalized greeting with randomized conversation starter
-      const greetingMessage = getRandomConversationStarter();
+      // Send personalized greeting with one of the persona's conversation starters
+      const greetingMessage = getSessionGreeting(session);
       socket.emit('aiResponse', { text: greetingMessage });
+      const message = appendMessage(session, { role: 'assistant', content: greetingMessage });
 
       // Convert greeting to Azure TTS voice
-      const synthesizer = textToSpeech(
-        greetingMessage,
-        (audioChunk) => {
-          socket.emit('aiAudio', { audio: audioChunk });
-        },
-        (error) => {
-          log(`TTS Error:`, error);
-          socket.emit('error', { message: 'Voice synthesis failed: ' + error });
+      speakText(session, greetingMessage, {
+        message,
+        onError: (error) => {
+          logger.error('TTS error for greeting', { error });
+          socket.emit('error', { message: 'Voice synthesis failed: ' + error, code: 'TTS_FAILED' });
         },
-        () => {
-          // Clean up when synthesis completes
-          activeSynthesizers.delete(socket.id);
-
+        onEnd: () => {
           // Notify frontend that recording can start AFTER TTS completes
           socket.emit('readyToListen');
         }
-      );
-
-      activeSynthesizers.set(socket.id, synthesizer);
+      });
 
     } catch (error) {
-      log(`Error in startSession:`, error);
-      socket.emit('error', { message: 'Failed to start session: ' + error.message });
+      logger.error('Error in startSession', { error });
+      socket.emit('error', { message: 'Failed to start session: ' + error.message, code: 'SESSION_START_FAILED' });
     }
   });
-  // Step 2-4: Voice transcribed -> Send to OpenRouter -> Convert response to Azure TTS
-  socket.on('userSpeech', async ({ text }) => {
-    log(`User speech: "${text?.substring(0, 100)}..."`);
+
+  socket.on('userSpeech', ({ text } = {}) => handleUserSpeech(text));
+
+  /**
+   * Stop this socket's recognizer. `flush` lets it deliver results for audio already sent.
+   */
+  const stopRecognizer = (flush) => {
+    const recognizer = activeRecognizers.get(socket.id);
+    if (!recognizer) return;
+    activeRecognizers.delete(socket.id);
+    try {
+      if (flush) {
+        recognizer.end();
+      } else {
+        recognizer.close();
+      }
+    } catch (err) {
+      logger.error('Error stopping speech recognition', { error: err.message });
+    }
+  };
+
+  // Server-side STT: stream PCM/Opus frames, final transcripts feed the userSpeech pipeline.
+  // The first frame's format/sampleRate/language apply until `userAudioEnd`.
+  const receiveAudioFrame = ({ audio, format, sampleRate, language } = {}) => {
     const session = sessions.get(socket.id);
-    if (!session || !text || typeof text !== 'string' || text.trim().length === 0 || text.length > 1000) {
-      log('Invalid session or text input');
+    if (!session) {
+      emitNoSession();
       return;
     }
 
-    const cleanText = text.trim();
-    if (cleanText.length < 2) {
-      log('Text too short');
+    const frame = decodeAudioFrame(audio);
+    if (!frame) {
+      socket.emit('error', { message: 'Audio frames must be binary data or a base64 string', code: 'INVALID_AUDIO_FRAME', event: 'userAudio' });
       return;
     }
-
-    // Stop any current TTS
-    const currentSynthesizer = activeSynthesizers.get(socket.id);
-    if (currentSynthesizer) {
-      try {
-        currentSynthesizer.stop();
-      } catch (err) {
-        log('Error stopping TTS:', err.message);
-        activeSynthesizers.delete(socket.id);
-      }
+    if (frame.length === 0 || frame.length > MAX_AUDIO_FRAME_BYTES) {
+      socket.emit('error', { message: `Audio frames must be between 1 and ${MAX_AUDIO_FRAME_BYTES} bytes`, code: 'INVALID_AUDIO_FRAME', event: 'userAudio' });
+      return;
     }
 
-    try {
-      // Add user message to conversation history (keep last 6 exchanges, limit message length)
-      session.conversationHistory.push({ 
-        role: 'user', 
-        content: cleanText.substring(0, 500) // Limit message length
-      });
-      if (session.conversationHistory.length > 12) {
-        session.conversationHistory = session.conversationHistory.slice(-12);
+    let recognizer = activeRecognizers.get(socket.id);
+    if (!recognizer) {
+      if (format && !Object.values(AUDIO_FORMATS).includes(format)) {
+        socket.emit('error', { message: `Invalid audio format. Must be one of: ${Object.values(AUDIO_FORMATS).join(', ')}`, code: 'INVALID_PAYLOAD', event: 'userAudio' });
+        return;
+      }
+      if (sampleRate && !SAMPLE_RATES.includes(sampleRate)) {
+        socket.emit('error', { message: `Invalid sample rate. Must be one of: ${SAMPLE_RATES.join(', ')}`, code: 'INVALID_PAYLOAD', event: 'userAudio' });
+        return;
       }
 
-      // Get AI response from OpenRouter
-      const aiResponse = await getTherapistResponse(cleanText.substring(0, 500), session.conversationHistory);
-
-      if (!aiResponse) {
-        throw new Error('No response from AI service');
+      // Recognize in the session's language once it is known; until then let the
+      // recognizer identify which supported language is being spoken
+      const clientLanguage = typeof language === 'string' ? language : undefined;
+      // The recognizer's transcript will be the next turn
+      const detecting = isLocaleDetectionTurn(session, session.turnCount + 1);
+      try {
+        recognizer = createRecognizer({
+          format,
+          sampleRate,
+          language: clientLanguage || (session.localeSource === 'default' ? undefined : session.locale),
+          candidateLanguages: !clientLanguage && detecting ? getSupportedLocales() : undefined,
+          onPartial: (text) => {
+            socket.emit('partialTranscript', { text });
+          },
+          onFinal: async (text, { language: spokenLanguage } = {}) => {
+            socket.emit('finalTranscript', { text });
+            // Recognized utterances cost the same as typed ones
+            if (await takeTokens('userSpeech')) handleUserSpeech(text, { language: spokenLanguage });
+          },
+          onError: (error) => {
+            logger.error('Speech recognition error', { error });
+            socket.emit('error', { message: 'Speech recognition failed: ' + error, code: 'STT_FAILED' });
+            stopRecognizer(false);
+          },
+          onEnd: () => {
+            if (activeRecognizers.get(socket.id) === recognizer) {
+              activeRecognizers.delete(socket.id);
+            }
+          }
+        });
+      } catch (error) {
+        logger.error('Error starting speech recognition', { error });
+        socket.emit('error', { message: 'Failed to start speech recognition: ' + error.message, code: 'STT_FAILED' });
+        return;
       }
+      activeRecognizers.set(socket.id, recognizer);
+    }
 
-      // Send AI response text to frontend
-      socket.emit('aiResponse', { text: aiResponse });
+    recognizer.write(frame);
+  };
 
-      // Add AI response to conversation history
-      session.conversationHistory.push({ role: 'assistant', content: aiResponse });
+  socket.on('userAudio', (payload) => {
+    try {
+      receiveAudioFrame(payload || {});
+    } catch (error) {
+      logger.error('Error handling audio frame', { error });
+      socket.emit('error', { message: 'Failed to process audio frame', code: 'STT_FAILED', event: 'userAudio' });
+    }
+  });
 
-      // Convert AI response to Azure TTS voice
-      const synthesizer = textToSpeech(
-        aiResponse,
-        (audioChunk) => {
-          socket.emit('aiAudio', { audio: audioChunk });
-        },
-        (error) => {
-          log('TTS Error for AI response:', error);
-          socket.emit('error', { message: 'Voice synthesis failed: ' + error });
-        },
-        () => {
-          // Clean up when synthesis completes
-          activeSynthesizers.delete(socket.id);
-        }
-      );
+  // Client finished sending audio - flush the recognizer so the last utterance is finalized
+  socket.on('userAudioEnd', () => {
+    stopRecognizer(true);
+  });
 
-      activeSynthesizers.set(socket.id, synthesizer);
+  // Change this session's voice and performance mode (takes effect on the next utterance)
+  socket.on('setVoiceConfig', (settings = {}) => {
+    const session = sessions.get(socket.id);
+    if (!session) {
+      emitNoSession();
+      return;
+    }
 
-    } catch (error) {
-      log('Error processing user speech:', error);
+    const validationError = validateVoiceSettings(settings);
+    if (validationError) {
+      socket.emit('error', { message: validationError, code: 'INVALID_VOICE_SETTINGS', event: 'setVoiceConfig' });
+      return;
+    }
 
-      // Send fallback response
-      const fallbackResponse = "I'm having trouble processing that. Could you please try again?";
-      socket.emit('aiResponse', { text: fallbackResponse });
+    socket.emit('voiceConfig', { voiceConfig: applyVoiceSettings(session, settings) });
+    saveSession(session);
+  });
 
-      // Convert fallback to TTS
-      const synthesizer = textToSpeech(
-        fallbackResponse,
-        (audioChunk) => {
-          socket.emit('aiAudio', { audio: audioChunk });
-        },
-        (error) => {
-          log('TTS Error for fallback:', error);
-        },
-        () => {
-          // Clean up when synthesis completes
-          activeSynthesizers.delete(socket.id);
-        }
-      );
+  // Reattach a previous session (conversation, voice, region) after a reconnect
+  socket.on('resumeSession', async ({ sessionToken } = {}) => {
+    if (!isSessionToken(sessionToken)) {
+      socket.emit('error', { message: 'Invalid session token', code: 'INVALID_SESSION_TOKEN' });
+      return;
+    }
 
-      activeSynthesizers.set(socket.id, synthesizer);
+    let stored;
+    try {
+      stored = await loadStoredSession(sessionToken);
+    } catch (err) {
+      logger.error('Error loading session', { error: err.message });
+      socket.emit('error', { message: 'Could not load session', code: 'SESSION_STORE_ERROR' });
+      return;
+    }
+
+    // Another user's session is reported exactly like a missing one
+    if (!stored || (stored.userId && stored.userId !== userId)) {
+      socket.emit('error', { message: 'Session expired or not found', code: 'SESSION_NOT_FOUND' });
+      return;
     }
+
+    takeOverSession(sessionToken, socket.id);
+    stopActiveResponse(socket.id);
+
+    const session = {
+      ...createSession(userId),
+      ...stored,
+      token: sessionToken,
+      userId,
+      isActive: true
+    };
+    sessions.set(socket.id, session);
+    await saveSession(session);
+
+    socket.emit('sessionResumed', {
+      sessionToken,
+      expiresIn: SESSION_TTL_MS / 1000,
+      conversationHistory: session.conversationHistory,
+      voiceConfig: getCurrentVoiceConfig(getSessionVoiceConfig(session)),
+      persona: describePersona(session),
+      locale: session.locale
+    });
+    socket.emit('readyToListen');
   });
 
   // Handle interruption
   socket.on('interruptAI', () => {
-    log(`Interrupting AI for ${socket.id}`);
-    const synthesizer = activeSynthesizers.get(socket.id);
-    if (synthesizer) {
-      try {
-        synthesizer.stop();
-      } catch (err) {
-        log('Error stopping TTS during interrupt:', err.message);
-      } finally {
-        activeSynthesizers.delete(socket.id);
-      }
-    }
+    logger.debug('Interrupting AI');
+    stopActiveResponse(socket.id, 'interrupt');
   });
 
   // Handle speech detection start - auto-interrupt TTS
   socket.on('speechDetected', () => {
+    stopActiveResponse(socket.id, 'speech_detected');
+  });
+
+  // Guided breathing / grounding exercise; the same id resumes a paused one
+  socket.on('startExercise', ({ exercise: exerciseId } = {}) => {
+    const session = sessions.get(socket.id);
+    if (!session) {
+      emitNoSession();
+      return;
+    }
+    const exercise = findExercise(exerciseId);
+    if (!exercise) {
+      socket.emit('error', { message: 'Unknown exercise', code: 'UNKNOWN_EXERCISE', event: 'startExercise' });
+      return;
+    }
+    startGuidedExercise(session, exercise, 'client');
+  });
+
+  // End the exercise for good (an interruption only pauses it)
+  socket.on('stopExercise', () => {
+    const session = sessions.get(socket.id);
+    if (!session || !session.exercise) return;
     const synthesizer = activeSynthesizers.get(socket.id);
-    if (synthesizer) {
-      try {
-        synthesizer.stop();
-      } catch (err) {
-        log('Error stopping TTS during speech detection:', err.message);
-      } finally {
-        activeSynthesizers.delete(socket.id);
-      }
+    if (session.exercise.status === 'running' && synthesizer) {
+      // Records the step the client got to for the history
+      session.exercise.status = 'stopping';
+      synthesizer.stop();
+      activeSynthesizers.delete(socket.id);
+    }
+    finishExercise(session, false);
+  });
+
+  // Playback position of the latest utterance, so an interruption keeps only what was heard
+  socket.on('playbackProgress', ({ utteranceId, sentence, offsetMs, finished } = {}) => {
+    acknowledgePlayback(utteranceId, finished ? { finished: true } : { sentence, offsetMs });
+  });
+
+  // Send the session transcript so the client can keep a record (e.g. before endSession)
+  socket.on('exportTranscript', ({ format = 'json', annotations = false } = {}) => {
+    const session = sessions.get(socket.id);
+    if (!session) {
+      emitNoSession();
+      return;
     }
+    if (!Object.hasOwn(TRANSCRIPT_FORMATS, format)) {
+      socket.emit('error', { message: 'Invalid transcript format. Must be "json", "md" or "txt"', code: 'INVALID_FORMAT' });
+      return;
+    }
+    socket.emit('transcript', exportTranscript(session, { format, annotations: annotations === true }));
   });
 
   // Handle explicit session end
   socket.on('endSession', () => {
     // Stop any ongoing TTS
-    const synthesizer = activeSynthesizers.get(socket.id);
-    if (synthesizer) {
-      try {
-        synthesizer.stop();
-      } catch (err) {
-        log('Error stopping TTS during session end:', err.message);
-      } finally {
-        activeSynthesizers.delete(socket.id);
-      }
-    }
+    stopActiveResponse(socket.id);
 
-    // Clean up synthesizer resources
-    cleanupSynthesizer();
+    // Cancel this session's queued and active synthesis
+    cleanupSynthesizer(socket.id);
+    stopRecognizer(false);
+
+    // An explicit end means the session can't be resumed
+    const session = sessions.get(socket.id);
+    if (session && session.token) {
+      session.detached = true;
+      sessionStore.delete(session.token).catch(err => logger.error('Error deleting session', { error: err.message }));
+    }
 
     // Clear session data
     sessions.delete(socket.id);
+
+    // Notes for the client and for their next session (the model can take a few seconds)
+    if (session && SESSION_SUMMARY) {
+      summarizeEndedSession(session)
+        .then((summary) => {
+          if (summary) socket.emit('sessionSummary', summary);
+        })
+        .catch(err => logger.error('Error writing session summary', { error: err.message }));
+    }
   });
 
   // Handle disconnect
   socket.on('disconnect', () => {
     // Clean up
-    const synthesizer = activeSynthesizers.get(socket.id);
-    if (synthesizer) {
-      try {
-        synthesizer.stop();
-      } catch (err) {
-        log('Error stopping TTS during disconnect:', err.message);
-      } finally {
-        activeSynthesizers.delete(socket.id);
-      }
-    }
+    stopActiveResponse(socket.id);
+    replySettlers.delete(socket.id);
 
-    // Clean up synthesizer resources
-    cleanupSynthesizer();
+    // Cancel this session's queued and active synthesis
+    cleanupSynthesizer(socket.id);
+    stopRecognizer(false);
 
+    // Only the live binding goes away - the stored session stays resumable until its TTL
     sessions.delete(socket.id);
   });
 });
 
+// Machine-readable socket protocol (AsyncAPI) for client generators
+app.get('/asyncapi.json', (req, res) => {
+  res.json(buildAsyncAPIDocument());
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.set({
@@ -342,72 +1648,406 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Simple rate limiting
-const requestCounts = new Map();
-const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const RATE_LIMIT_MAX = 10; // 10 requests per minute
+registerRuntimeGauges({
+  getQueueStatus: () => getQueueStatus(),
+  getActiveSockets: () => io.engine.clientsCount,
+  getActiveSessions: () => sessions.size
+});
+
+// Prometheus metrics (bearer METRICS_TOKEN required when set)
+app.get('/metrics', async (req, res) => {
+  const metricsToken = process.env.METRICS_TOKEN;
+  if (metricsToken) {
+    const { token } = getHeaderCredentials(req.headers);
+    const expected = crypto.createHash('sha256').update(metricsToken).digest();
+    const presented = crypto.createHash('sha256').update(token || '').digest();
+    if (!crypto.timingSafeEqual(expected, presented)) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').end();
+    }
+  }
+
+  try {
+    res.set('Content-Type', metricsRegister.contentType);
+    res.end(await metricsRegister.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics', { error });
+    res.status(500).end();
+  }
+});
+
+/**
+ * The session a REST call names (`:id` in the path, or `sessionId` in the body or query)
+ */
+function getRequestedSessionId(req) {
+  return req.params.id || req.body?.sessionId || req.query.sessionId;
+}
+
+/**
+ * Resolve the session a REST call names: its resume token (a connected or stored session) or
+ * the session id of a connected session. Socket ids change on every reconnect, so they aren't
+ * accepted. Sessions owned by another user are treated as missing.
+ * @returns {Promise<Object|null>}
+ */
+async function findSession(req) {
+  const id = getRequestedSessionId(req);
+  if (!id || typeof id !== 'string') return null;
+  let session = [...sessions.values()].find(candidate => candidate.token === id || candidate.id === id);
+  if (!session) {
+    const stored = await loadStoredSession(id);
+    // Keep the token so changes to a disconnected session can be saved back
+    session = stored && { ...stored, token: id };
+  }
+  if (session && authenticator.enabled && session.userId !== req.user.id) {
+    return null;
+  }
+  return session;
+}
+
+// Same limit as userSpeech; longer messages are rejected rather than ignored
+const MAX_CHAT_MESSAGE_LENGTH = 1000;
+
+/**
+ * Continue the session a chat request names (sessionToken) or start a new one, applying
+ * any persona, region and locale it asks for. The session is bound to the request until
+ * runChatTurn releases it, so one session answers one message at a time.
+ * @returns {Promise<{ session: Object, connectionId: string }|{ status: number, code: string, message: string }>}
+ */
+async function openChatSession(userId, { sessionToken, persona: personaId, region, locale: requestedLocale }) {
+  if (sessionToken != null && !isSessionToken(sessionToken)) {
+    return { status: 400, code: 'INVALID_SESSION_TOKEN', message: 'Invalid session token' };
+  }
+  const persona = personaId == null ? null : findPersona(personaId);
+  if (personaId != null && !persona) {
+    return { status: 400, code: 'UNKNOWN_PERSONA', message: 'Unknown persona' };
+  }
+  const locale = requestedLocale == null ? null : resolveLocale(requestedLocale);
+  if (requestedLocale != null && !locale) {
+    return {
+      status: 400,
+      code: 'UNSUPPORTED_LOCALE',
+      message: `Unsupported locale. Must be one of: ${getSupportedLocales().join(', ')}`
+    };
+  }
+
+  let session;
+  if (sessionToken) {
+    let stored;
+    try {
+      stored = await loadStoredSession(sessionToken);
+    } catch (err) {
+      logger.error('Error loading session', { error: err.message });
+      return { status: 500, code: 'SESSION_STORE_ERROR', message: 'Could not load session' };
+    }
 
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const userRequests = requestCounts.get(ip) || [];
+    // Another user's session is reported exactly like a missing one
+    if (!stored || (stored.userId && stored.userId !== userId)) {
+      return { status: 404, code: 'SESSION_NOT_FOUND', message: 'Session expired or not found' };
+    }
+    if (sessions.has(CHAT_CONNECTION_PREFIX + stored.id)) {
+      return { status: 409, code: 'TURN_IN_PROGRESS', message: 'This session is still answering another message' };
+    }
 
-  // Remove old requests outside the window
-  const validRequests = userRequests.filter(time => now - time < RATE_LIMIT_WINDOW);
+    // A socket driving the session hands it over, as on resumeSession
+    takeOverSession(sessionToken, null);
+    session = { ...createSession(userId), ...stored, token: sessionToken, userId, isActive: true };
+  } else {
+    session = { ...createSession(userId), token: generateSessionToken(), isActive: true };
+  }
 
-  if (validRequests.length >= RATE_LIMIT_MAX) {
-    return false;
+  if (persona) {
+    applyPersona(session, persona);
+  }
+  if (typeof region === 'string' && /^[A-Za-z]{2}$/.test(region)) {
+    session.region = region.toUpperCase();
   }
+  if (locale) {
+    session.locale = locale;
+    session.localeSource = 'requested';
+  }
+
+  const connectionId = CHAT_CONNECTION_PREFIX + session.id;
+  sessions.set(connectionId, session);
+  return { session, connectionId };
+}
+
+/**
+ * Answer one chat message through the same turn pipeline as userSpeech. Every event the
+ * turn produces is passed to `send(event, payload)`, exactly as a socket would receive it.
+ * Resolves once the reply, and anything it started such as a guided exercise, has been sent.
+ */
+async function runChatTurn({ session, connectionId }, message, { audio, send }) {
+  const conversation = createConversation({
+    id: connectionId,
+    emit: VALIDATE_OUTBOUND ? checkOutbound(send) : send
+  }, { audio });
 
-  validRequests.push(now);
-  requestCounts.set(ip, validRequests);
-  return true;
+  try {
+    await withLogContext({ socketId: connectionId }, () => conversation.handleUserSpeech(message));
+    await conversation.whenIdle();
+  } finally {
+    // Per-connection TTS state, as on disconnect
+    cleanupSynthesizer(connectionId);
+    replySettlers.delete(connectionId);
+    if (sessions.get(connectionId) === session) {
+      sessions.delete(connectionId);
+    }
+  }
 }
 
-// Voice switching endpoint
-app.post('/api/voice/switch', express.json(), (req, res) => {
-  const clientIP = req.ip || req.connection.remoteAddress;
+/**
+ * Check a chat request's message and open its session, or answer with the error
+ * @returns {Promise<Object|null>} - openChatSession's result, or null when the request was rejected
+ */
+async function startChatRequest(req, res, { message, sessionToken, persona, region, locale }) {
+  const valid = typeof message === 'string' && message.length <= MAX_CHAT_MESSAGE_LENGTH && message.trim().length >= 2;
+  if (!valid) {
+    res.status(400).json({
+      success: false,
+      message: `message must be 2-${MAX_CHAT_MESSAGE_LENGTH} characters`,
+      code: 'INVALID_MESSAGE'
+    });
+    return null;
+  }
 
-  if (!checkRateLimit(clientIP)) {
-    return res.status(429).json({
+  const opened = await openChatSession(req.user.id, { sessionToken, persona, region, locale });
+  if (!opened.session) {
+    res.status(opened.status).json({
       success: false,
-      message: 'Too many requests. Please wait a moment.'
+      message: opened.message,
+      code: opened.code
+    });
+    return null;
+  }
+
+  // A client that goes away stops the turn, like an interruption
+  res.on('close', () => {
+    if (!res.writableEnded) stopActiveResponse(opened.connectionId);
+  });
+  return opened;
+}
+
+/**
+ * What a chat client needs to continue the session (the socket's sessionToken payload)
+ */
+function describeChatSession(session) {
+  return {
+    sessionToken: session.token,
+    expiresIn: SESSION_TTL_MS / 1000,
+    persona: describePersona(session),
+    locale: session.locale
+  };
+}
+
+// Text chat: one turn per request, answered with the reply and every event the turn produced
+app.post('/api/chat', async (req, res) => {
+  try {
+    const { message, audio, sessionToken, persona, region, locale } = req.body || {};
+    const opened = await startChatRequest(req, res, { message, sessionToken, persona, region, locale });
+    if (!opened) return;
+
+    const events = [];
+    await runChatTurn(opened, message, {
+      audio: audio !== false,
+      send: (event, payload) => events.push({ event, data: payload })
+    });
+
+    res.json({
+      success: true,
+      ...describeChatSession(opened.session),
+      reply: events.filter(({ event }) => event === 'aiResponse').map(({ data }) => data.text).join(' '),
+      events
+    });
+  } catch (error) {
+    logger.error('Error in chat turn', { error });
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+});
+
+// The same turn as Server-Sent Events, so the reply can be shown (and played) as it is generated
+app.get('/api/chat/stream', async (req, res) => {
+  try {
+    const { message, audio, sessionToken, persona, region, locale } = req.query;
+    const opened = await startChatRequest(req, res, { message, sessionToken, persona, region, locale });
+    if (!opened) return;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no'
     });
+    res.flushHeaders();
+    const send = (event, payload) => {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    send('sessionToken', describeChatSession(opened.session));
+    const reply = [];
+    try {
+      await runChatTurn(opened, message, {
+        audio: audio !== 'false',
+        send: (event, payload) => {
+          if (event === 'aiResponse') reply.push(payload.text);
+          send(event, payload);
+        }
+      });
+    } catch (error) {
+      logger.error('Error in chat turn', { error });
+      send('error', { message: 'Failed to answer message: ' + error.message, code: 'CHAT_FAILED' });
+    }
+    send('done', { reply: reply.join(' ') });
+    res.end();
+  } catch (error) {
+    logger.error('Error starting chat stream', { error });
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
   }
+});
 
+// Voice switching endpoint (session-scoped)
+const switchVoiceHandler = async (req, res) => {
   try {
-    const { gender, performanceMode } = req.body;
+    const { gender, voiceName, performanceMode } = req.body;
+
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found. Provide the session token or the sessionId of a connected session'
+      });
+    }
 
-    if (gender && (gender !== 'male' && gender !== 'female')) {
+    const validationError = validateVoiceSettings({ gender, voiceName, performanceMode });
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid gender. Must be "male" or "female"'
+        message: validationError
       });
     }
 
-    if (performanceMode && !['fast', 'balanced', 'quality'].includes(performanceMode)) {
+    const currentConfig = applyVoiceSettings(session, { gender, voiceName, performanceMode });
+    await saveSession(session);
+
+    res.json({
+      success: true,
+      message: `Voice switched to ${voiceName || gender || 'current'} with ${performanceMode || 'current'} performance mode`,
+      voiceConfig: currentConfig
+    });
+  } catch (error) {
+    logger.error('Error switching voice', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+app.post('/api/voice/switch', express.json(), switchVoiceHandler);
+app.post('/api/sessions/:id/voice', express.json(), switchVoiceHandler);
+
+// Performance mode switching endpoint (session-scoped)
+app.post('/api/voice/performance', express.json(), async (req, res) => {
+  try {
+    const { mode } = req.body;
+
+    if (!mode || !PERFORMANCE_MODES.includes(mode)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid performance mode. Must be "fast", "balanced", or "quality"'
       });
     }
 
-    if (gender) {
-      setVoiceGender(gender);
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found. Provide the session token or the sessionId of a connected session'
+      });
     }
 
-    if (performanceMode) {
-      setPerformanceMode(performanceMode);
-    }
+    const currentConfig = applyVoiceSettings(session, { performanceMode: mode });
+    await saveSession(session);
+
+    res.json({
+      success: true,
+      message: `Performance mode switched to ${mode}`,
+      voiceConfig: currentConfig
+    });
+  } catch (error) {
+    logger.error('Error switching performance mode', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    const currentConfig = getCurrentVoiceConfig();
+// Get voice configuration for a session (server defaults without a sessionId)
+const currentVoiceHandler = async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (getRequestedSessionId(req) && !session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
 
+    const currentConfig = getCurrentVoiceConfig(session ? getSessionVoiceConfig(session) : undefined);
     res.json({
       success: true,
-      message: `Voice switched to ${gender || 'current'} with ${performanceMode || 'current'} performance mode`,
       voiceConfig: currentConfig
     });
   } catch (error) {
-    log('Error switching voice:', error);
+    logger.error('Error getting voice config', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+app.get('/api/voice/current', currentVoiceHandler);
+app.get('/api/sessions/:id/voice', currentVoiceHandler);
+
+// Download a session transcript (?format=json|md|txt&annotations=true)
+app.get('/api/sessions/:id/transcript', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!Object.hasOwn(TRANSCRIPT_FORMATS, format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid transcript format. Must be "json", "md" or "txt"'
+      });
+    }
+
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const { mimeType, filename, content } = exportTranscript(session, {
+      format,
+      annotations: req.query.annotations === 'true'
+    });
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(content);
+  } catch (error) {
+    logger.error('Error exporting transcript', { error });
     res.status(500).json({
       success: false,
       error: error.message
@@ -415,52 +2055,177 @@ app.post('/api/voice/switch', express.json(), (req, res) => {
   }
 });
 
-// Performance mode switching endpoint
-app.post('/api/voice/performance', express.json(), (req, res) => {
-  const clientIP = req.ip || req.connection.remoteAddress;
+// Mood trajectory, dominant emotions, talk time and response latencies for a session
+app.get('/api/sessions/:id/analytics', async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
 
-  if (!checkRateLimit(clientIP)) {
-    return res.status(429).json({
+    res.json({
+      success: true,
+      analytics: buildSessionAnalytics(session)
+    });
+  } catch (error) {
+    logger.error('Error building session analytics', { error });
+    res.status(500).json({
       success: false,
-      message: 'Too many requests. Please wait a moment.'
+      error: error.message
     });
   }
+});
 
+// The user's end-of-session notes, newest first (?limit=1 for the latest)
+app.get('/api/summaries', async (req, res) => {
   try {
-    const { mode } = req.body;
+    const limit = Math.min(MAX_SUMMARIES_PER_USER, parseInt(req.query.limit, 10) || MAX_SUMMARIES_PER_USER);
+    res.json({
+      success: true,
+      summaries: await summaryArchive.listForUser(req.user.id, Math.max(1, limit))
+    });
+  } catch (error) {
+    logger.error('Error listing session summaries', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    if (!mode || !['fast', 'balanced', 'quality'].includes(mode)) {
-      return res.status(400).json({
+// One session's end-of-session notes, by the sessionId on sessionSummary
+app.get('/api/summaries/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const summary = /^[A-Za-z0-9-]{1,64}$/.test(sessionId) ? await summaryArchive.get(sessionId) : null;
+    // Another user's notes are reported exactly like missing ones
+    if (!summary || (authenticator.enabled && summary.userId !== req.user.id)) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid performance mode. Must be "fast", "balanced", or "quality"'
+        message: 'Summary not found'
       });
     }
 
-    setPerformanceMode(mode);
-    const currentConfig = getCurrentVoiceConfig();
+    res.json({
+      success: true,
+      summary
+    });
+  } catch (error) {
+    logger.error('Error loading session summary', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Active TTS provider, its voices and output formats
+app.get('/api/voice/voices', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...getTTSInfo()
+    });
+  } catch (error) {
+    logger.error('Error listing voices', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
+// Available therapist personas
+app.get('/api/personas', (req, res) => {
+  try {
     res.json({
       success: true,
-      message: `Performance mode switched to ${mode}`,
-      voiceConfig: currentConfig
+      personas: listPersonas()
     });
   } catch (error) {
-    log('Error switching performance mode:', error);
+    logger.error('Error listing personas', { error });
     res.status(500).json({
       success: false,
       error: error.message
     });
   }
-});// Get current voice configuration
-app.get('/api/voice/current', (req, res) => {
+});
+
+// Supported session languages and their voices
+app.get('/api/locales', (req, res) => {
   try {
-    const currentConfig = getCurrentVoiceConfig();
     res.json({
       success: true,
-      voiceConfig: currentConfig
+      locales: listLocales(),
+      defaultLocale: getDefaultLocale()
+    });
+  } catch (error) {
+    logger.error('Error listing locales', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Guided exercises clients can start with startExercise
+app.get('/api/exercises', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      exercises: listExercises()
     });
   } catch (error) {
-    log('Error getting voice config:', error);
+    logger.error('Error listing exercises', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Full persona definition, including its system prompt and greetings
+app.get('/api/personas/:id', (req, res) => {
+  const persona = findPersona(req.params.id);
+  if (!persona) {
+    return res.status(404).json({
+      success: false,
+      message: 'Persona not found'
+    });
+  }
+  res.json({
+    success: true,
+    persona
+  });
+});
+
+// Create or replace a persona (written to the persona config directory; admins only)
+app.post('/api/personas', express.json({ limit: '64kb' }), async (req, res) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only administrators can manage personas'
+    });
+  }
+
+  try {
+    const { persona, created } = await savePersona(req.body);
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: `Persona ${persona.id} ${created ? 'created' : 'updated'}`,
+      persona
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_PERSONA') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error saving persona', { error });
     res.status(500).json({
       success: false,
       error: error.message
@@ -470,48 +2235,66 @@ app.get('/api/voice/current', (req, res) => {
 
 // Environment check
 const checkEnvironment = () => {
-  const required = ['AZURE_SPEECH_KEY', 'AZURE_SPEECH_REGION', 'OPENROUTER_API_KEY'];
+  // API keys for the LLM providers in the configured chain (none for mock or keyless local servers)
+  const required = getRequiredLLMEnv();
+  // Azure is only needed when it does the speech synthesis or recognition
+  if ((process.env.TTS_PROVIDER || 'azure') === 'azure' || (process.env.STT_PROVIDER || 'azure') === 'azure') {
+    required.unshift('AZURE_SPEECH_KEY', 'AZURE_SPEECH_REGION');
+  }
   const missing = required.filter(key => !process.env[key]);
 
   if (missing.length > 0) {
-    console.error(`Missing environment variables: ${missing.join(', ')}`);
-    console.error('Please check your .env file');
+    logger.error('Missing environment variables - please check your .env file', { missing });
     if (isProduction) {
       process.exit(1); // Exit in production if required env vars are missing
     }
   } else {
-    log('All environment variables are set');
+    logger.info('All environment variables are set');
   }
 };
 
 // Graceful shutdown handling for DigitalOcean App Platform
 const gracefulShutdown = (signal) => {
-  log(`Received ${signal}, shutting down gracefully...`);
+  logger.info('Shutting down gracefully', { signal });
 
   // Stop accepting new connections
   server.close(() => {
-    log('HTTP server closed');
+    logger.info('HTTP server closed');
 
     // Clean up all active synthesizers
     for (const [socketId, synthesizer] of activeSynthesizers) {
       try {
         synthesizer.stop();
       } catch (err) {
-        log(`Error stopping synthesizer for ${socketId}:`, err.message);
+        logger.error('Error stopping synthesizer', { socketId, error: err.message });
       }
     }
     activeSynthesizers.clear();
 
-    // Clean up synthesizer resources
+    // Abandon any in-flight speech recognition
+    for (const recognizer of activeRecognizers.values()) {
+      try {
+        recognizer.close();
+      } catch (err) {
+        logger.error('Error closing recognizer', { error: err.message });
+      }
+    }
+    activeRecognizers.clear();
+
+    // Shut down the synthesizer pool
     cleanupSynthesizer();
 
-    log('Graceful shutdown complete');
+    sessionStore.close().catch(err => logger.error('Error closing session store', { error: err.message }));
+    summaryStore.close().catch(err => logger.error('Error closing summary store', { error: err.message }));
+    rateLimiter.close().catch(err => logger.error('Error closing rate limiter', { error: err.message }));
+
+    logger.info('Graceful shutdown complete');
     process.exit(0);
   });
 
   // Force shutdown after 30 seconds
   setTimeout(() => {
-    log('Forcing shutdown after timeout');
+    logger.warn('Forcing shutdown after timeout');
     process.exit(1);
   }, 30000);
 };
@@ -522,14 +2305,14 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
-  console.error('Uncaught Exception:', err);
+  logger.error('Uncaught exception', { error: err });
   if (isProduction) {
     process.exit(1);
   }
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  logger.error('Unhandled rejection', { error: reason instanceof Error ? reason : String(reason) });
   if (isProduction) {
     process.exit(1);
   }
@@ -538,7 +2321,6 @@ process.on('unhandledRejection', (reason, promise) => {
 // Start server (use DO provided PORT, default to 8080)
 const PORT = process.env.PORT || 8080;
 server.listen(PORT, '0.0.0.0', () => {
-  log(`Server running on port ${PORT}`);
-  log(`Health check: http://localhost:${PORT}/health`);
+  logger.info('Server running', { port: PORT, health: `http://localhost:${PORT}/health` });
   checkEnvironment();
 });
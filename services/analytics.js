@@ -0,0 +1,122 @@
+// analytics.js - How a session progressed
+//
+// Aggregates what is stored on a session's history: the mood score on each user
+// message (see mood.js) and the latency record on each therapist reply. Talk time
+// is estimated from word counts at a typical speaking rate, since text turns
+// carry no audio duration.
+
+// Typical conversational speaking rate used to estimate talk time
+const WORDS_PER_MINUTE = 150;
+
+// Sentiment change between the first and last thirds that counts as a trend
+const TREND_THRESHOLD = 0.15;
+
+function countWords(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function round(value, digits = 2) {
+  return value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+function summarizeLatencies(values) {
+  const sorted = values.filter(value => Number.isFinite(value)).sort((a, b) => a - b);
+  return {
+    averageMs: sorted.length > 0 ? Math.round(average(sorted)) : null,
+    medianMs: percentile(sorted, 0.5),
+    p95Ms: percentile(sorted, 0.95),
+    maxMs: sorted.length > 0 ? sorted[sorted.length - 1] : null
+  };
+}
+
+/**
+ * Compare the average sentiment of the first and last thirds of the session
+ */
+function getTrend(trajectory) {
+  if (trajectory.length < 2) return 'insufficient-data';
+  const third = Math.max(1, Math.floor(trajectory.length / 3));
+  const start = average(trajectory.slice(0, third).map(point => point.sentiment));
+  const end = average(trajectory.slice(-third).map(point => point.sentiment));
+  if (end - start >= TREND_THRESHOLD) return 'improving';
+  if (start - end >= TREND_THRESHOLD) return 'declining';
+  return 'stable';
+}
+
+/**
+ * Analytics for one session
+ * @param {Object} session - Live session (conversationHistory, createdAt)
+ * @returns {Object} - { mood, talkTime, responseLatency, turns, ... }
+ */
+export function buildSessionAnalytics(session) {
+  const history = session.conversationHistory;
+  const userMessages = history.filter(message => message.role === 'user');
+  const replies = history.filter(message => message.role === 'assistant');
+
+  const trajectory = userMessages
+    .filter(message => message.mood)
+    .map(message => ({
+      timestamp: message.timestamp,
+      sentiment: message.mood.sentiment,
+      label: message.mood.label,
+      dominantEmotion: message.mood.dominantEmotion
+    }));
+
+  // Emotion weights summed over all turns, as a share of the session total
+  const emotionTotals = {};
+  const emotionTurns = {};
+  for (const message of userMessages) {
+    for (const [emotion, weight] of Object.entries(message.mood?.emotions || {})) {
+      emotionTotals[emotion] = (emotionTotals[emotion] || 0) + weight;
+      emotionTurns[emotion] = (emotionTurns[emotion] || 0) + 1;
+    }
+  }
+  const emotionSum = Object.values(emotionTotals).reduce((sum, value) => sum + value, 0);
+  const dominantEmotions = Object.keys(emotionTotals)
+    .sort((a, b) => emotionTotals[b] - emotionTotals[a])
+    .map(emotion => ({
+      emotion,
+      share: round(emotionTotals[emotion] / emotionSum),
+      turns: emotionTurns[emotion]
+    }));
+
+  const userWords = userMessages.reduce((sum, message) => sum + countWords(message.content), 0);
+  const assistantWords = replies.reduce((sum, message) => sum + countWords(message.content), 0);
+  const totalWords = userWords + assistantWords;
+
+  const latencies = replies.map(message => message.latency).filter(Boolean);
+  const timestamps = history.map(message => message.timestamp).filter(Boolean);
+
+  return {
+    sessionStartedAt: session.createdAt,
+    lastActivityAt: timestamps[timestamps.length - 1] || null,
+    turns: userMessages.length,
+    mood: {
+      trajectory,
+      averageSentiment: round(average(trajectory.map(point => point.sentiment))),
+      trend: getTrend(trajectory),
+      dominantEmotions
+    },
+    talkTime: {
+      userWords,
+      assistantWords,
+      userSeconds: Math.round(userWords / WORDS_PER_MINUTE * 60),
+      assistantSeconds: Math.round(assistantWords / WORDS_PER_MINUTE * 60),
+      userRatio: totalWords > 0 ? round(userWords / totalWords) : null
+    },
+    responseLatency: {
+      replies: latencies.length,
+      firstText: summarizeLatencies(latencies.map(latency => latency.firstTextMs)),
+      firstAudio: summarizeLatencies(latencies.map(latency => latency.firstAudioMs)),
+      complete: summarizeLatencies(latencies.map(latency => latency.totalMs))
+    }
+  };
+}
@@ -0,0 +1,174 @@
+// auth.js - Authentication for Socket.IO handshakes and REST routes
+//
+// AUTH_METHODS lists the accepted credential types, tried in order:
+//   jwt    - signed JWT (HS256 with JWT_SECRET, or RS256 with JWT_PUBLIC_KEY[_FILE])
+//   apikey - static keys from API_KEYS ("userId:key,userId:key")
+// With AUTH_METHODS unset (or "none") every request is let through as an anonymous user.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+/**
+ * Authentication failure; `code` is sent to clients, `status` is the HTTP status
+ */
+export class AuthError extends Error {
+  constructor(message, code, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const ANONYMOUS_USER = { id: null, method: 'none', roles: [] };
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * JWT verifier for HS256 (shared secret) or RS256 (public key)
+ */
+function createJwtVerifier() {
+  const secret = process.env.JWT_SECRET;
+  let publicKey = process.env.JWT_PUBLIC_KEY;
+  if (!publicKey && process.env.JWT_PUBLIC_KEY_FILE) {
+    publicKey = fs.readFileSync(process.env.JWT_PUBLIC_KEY_FILE, 'utf8');
+  }
+  if (!secret && !publicKey) {
+    throw new Error('JWT auth needs JWT_SECRET (HS256) or JWT_PUBLIC_KEY/JWT_PUBLIC_KEY_FILE (RS256)');
+  }
+
+  // Never accept both algorithm families with one key - that enables key-confusion attacks
+  const key = publicKey ? publicKey.replace(/\\n/g, '\n') : secret;
+  const options = {
+    algorithms: publicKey ? ['RS256'] : ['HS256'],
+    issuer: process.env.JWT_ISSUER || undefined,
+    audience: process.env.JWT_AUDIENCE || undefined,
+    clockTolerance: 30
+  };
+
+  return (token) => {
+    let claims;
+    try {
+      claims = jwt.verify(token, key, options);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AuthError('Token expired', 'TOKEN_EXPIRED');
+      }
+      throw new AuthError('Invalid token', 'INVALID_TOKEN');
+    }
+
+    if (!claims.sub) {
+      throw new AuthError('Token has no subject', 'INVALID_TOKEN');
+    }
+    const roles = Array.isArray(claims.roles) ? claims.roles : (claims.role ? [claims.role] : []);
+    return { id: String(claims.sub), method: 'jwt', roles };
+  };
+}
+
+/**
+ * Static API key verifier. Keys are compared as SHA-256 digests in constant time.
+ */
+function createApiKeyVerifier() {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const keys = splitList(process.env.API_KEYS).map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error('API_KEYS entries must look like "userId:key"');
+    }
+    return { userId: entry.slice(0, separator), digest: digest(entry.slice(separator + 1)) };
+  });
+  if (keys.length === 0) {
+    throw new Error('API key auth needs API_KEYS');
+  }
+
+  return (apiKey) => {
+    const candidate = digest(apiKey);
+    const match = keys.find(key => crypto.timingSafeEqual(key.digest, candidate));
+    if (!match) {
+      throw new AuthError('Invalid API key', 'INVALID_API_KEY');
+    }
+    return { id: match.userId, method: 'apikey', roles: [] };
+  };
+}
+
+/**
+ * Create the authenticator described by AUTH_METHODS
+ * @returns {{ enabled: boolean, methods: string[], authenticate: Function }}
+ */
+export function createAuthenticator() {
+  const methods = splitList(process.env.AUTH_METHODS).filter(method => method !== 'none');
+  const adminUsers = new Set(splitList(process.env.ADMIN_USERS));
+  const verifiers = {};
+
+  for (const method of methods) {
+    if (method === 'jwt') verifiers.jwt = createJwtVerifier();
+    else if (method === 'apikey') verifiers.apikey = createApiKeyVerifier();
+    else throw new Error(`Unknown auth method: ${method}`);
+  }
+
+  return {
+    enabled: methods.length > 0,
+    methods,
+
+    /**
+     * Verify whichever credential was presented
+     * @param {Object} credentials - { token, apiKey }
+     * @returns {{ id: string|null, method: string, roles: string[] }}
+     */
+    authenticate({ token, apiKey } = {}) {
+      if (methods.length === 0) return ANONYMOUS_USER;
+      if (typeof token !== 'string') token = undefined;
+      if (typeof apiKey !== 'string') apiKey = undefined;
+
+      let user = null;
+      if (token && verifiers.jwt) {
+        user = verifiers.jwt(token);
+      } else if ((apiKey || token) && verifiers.apikey) {
+        // API keys may also be sent as a bearer token
+        user = verifiers.apikey(apiKey || token);
+      } else {
+        throw new AuthError('Authentication required', 'AUTH_REQUIRED');
+      }
+
+      if (adminUsers.has(user.id) && !user.roles.includes('admin')) {
+        user.roles = [...user.roles, 'admin'];
+      }
+      return user;
+    }
+  };
+}
+
+/**
+ * Pull credentials from HTTP headers: `Authorization: Bearer <jwt>` or `X-API-Key: <key>`
+ */
+export function getHeaderCredentials(headers = {}) {
+  const authorization = headers.authorization || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : undefined;
+  const apiKey = headers['x-api-key'] || undefined;
+  return { token, apiKey };
+}
+
+/**
+ * True when a user may use admin-only endpoints. Without authentication nobody may, unless
+ * ALLOW_ANONYMOUS_ADMIN=true outside production (for local development)
+ */
+export function isAdmin(user) {
+  if (!user) return false;
+  if (user.method === 'none') {
+    return process.env.ALLOW_ANONYMOUS_ADMIN === 'true' && process.env.NODE_ENV !== 'production';
+  }
+  return user.roles.includes('admin');
+}
@@ -1,9 +1,15 @@
-// azureTTS.js - Ultra-Fast Streaming Azure TTS
+// azureTTS.js - Ultra-Fast Streaming TTS
+//
+// Pooled, fair scheduling of synthesis requests across sessions. The synthesis itself is
+// done by the provider selected with TTS_PROVIDER (Azure by default, see ttsProviders.js);
+// audio is forwarded chunk by chunk, so playback can start before the utterance is rendered.
 
-import * as sdk from 'microsoft-cognitiveservices-speech-sdk';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { PERFORMANCE_MODES, createTTSProvider } from './ttsProviders.js';
+import { ttsSynthesisDuration } from './metrics.js';
+import { createLogger, bindLogContext } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,294 +18,419 @@ const __dirname = path.dirname(__filename);
 const envPath = path.join(__dirname, '..', '.env');
 dotenv.config({ path: envPath });
 
-const SPEECH_KEY = process.env.AZURE_SPEECH_KEY;
-const SPEECH_REGION = process.env.AZURE_SPEECH_REGION;
+const logger = createLogger('tts');
 
+let provider;
+try {
+  provider = createTTSProvider();
+} catch (error) {
+  logger.error('Invalid provider configuration, using azure', { error: error.message });
+  provider = createTTSProvider('azure');
+}
+
+// Upper bound on concurrent synthesizers shared by all sessions
+const MAX_POOL_SIZE = Math.max(1, parseInt(process.env.AZURE_TTS_POOL_SIZE, 10) || 4);
+
+// Requests without a session share this queue
+const DEFAULT_SESSION = 'default';
+
+// Synthesizer pool: [{ synthesizer, request }] - request is null when the slot is idle
+const synthesizerPool = [];
+
+// Per-session FIFO queues plus round-robin order over sessions with waiting work
+const sessionQueues = new Map();
+let roundRobinOrder = [];
 
-let currentVoiceGender = 'female';
-let persistentSynthesizer = null;
-let isSynthesizerBusy = false;
-let requestQueue = [];
-let isProcessingQueue = false;
+// Per-session wait-time statistics for getQueueStatus
+const sessionStats = new Map();
 
-// Performance modes
-const PERFORMANCE_MODES = {
-  FAST: 'fast',      // Minimal SSML, fastest response
-  BALANCED: 'balanced', // Some SSML, good balance
-  QUALITY: 'quality'  // Full SSML, most natural
-};
+let nextRequestId = 1;
 
-let currentPerformanceMode = PERFORMANCE_MODES.BALANCED;
+const DEFAULT_VOICE_GENDER = 'female';
+const DEFAULT_LOCALE = 'en-US';
+const DEFAULT_PERFORMANCE_MODE = PERFORMANCE_MODES.BALANCED;
 
 /**
- * Get current voice config
+ * Fill in defaults for a per-session voice config
+ * @param {Object} [config] - { gender, voiceName, style, performanceMode, locale, expression }
+ *   (expression is the per-sentence delivery from speakingStyle.js)
  */
-export function getCurrentVoiceConfig() {
+export function normalizeVoiceConfig(config = {}) {
+  const gender = provider.voices[config.gender] ? config.gender : DEFAULT_VOICE_GENDER;
+  const performanceMode = Object.values(PERFORMANCE_MODES).includes(config.performanceMode)
+    ? config.performanceMode
+    : DEFAULT_PERFORMANCE_MODE;
+
   return {
-    gender: currentVoiceGender,
-    name: currentVoiceGender === 'female' ? 'en-US-AvaNeural' : 'en-US-AndrewNeural',
-    style: currentVoiceGender === 'female' ? 'warm' : 'friendly',
-    performanceMode: currentPerformanceMode,
-    description: currentVoiceGender === 'female'
-      ? 'Warm, empathetic female therapist with natural intonation'
-      : 'Warm, compassionate male therapist with conversational tone'
+    gender,
+    voiceName: config.voiceName || provider.voices[gender].name,
+    style: config.style || provider.voices[gender].style,
+    performanceMode,
+    locale: config.locale || DEFAULT_LOCALE,
+    expression: config.expression || null
   };
 }
 
 /**
- * Set voice gender
+ * Get voice config details for a session (defaults when no config is given)
  */
-export function setVoiceGender(gender) {
-  if (gender === 'male' || gender === 'female') {
-    currentVoiceGender = gender;
-    // Reset synthesizer to use new voice
-    if (persistentSynthesizer) {
-      try {
-        persistentSynthesizer.close();
-      } catch (e) {
-        // Ignore
-      }
-      persistentSynthesizer = null;
-    }
-  }
+export function getCurrentVoiceConfig(config) {
+  const { gender, voiceName, style, performanceMode, locale } = normalizeVoiceConfig(config);
+  return {
+    gender,
+    name: voiceName,
+    style,
+    performanceMode,
+    locale,
+    description: provider.voices[gender].description
+  };
 }
 
 /**
- * Set performance mode
+ * Active provider, its voices and the audio format sent to clients
  */
-export function setPerformanceMode(mode) {
-  if (Object.values(PERFORMANCE_MODES).includes(mode)) {
-    currentPerformanceMode = mode;
-  }
+export function getTTSInfo() {
+  return {
+    provider: provider.name,
+    format: provider.format,
+    mimeType: provider.outputFormats[provider.format].mimeType,
+    outputFormats: Object.keys(provider.outputFormats),
+    voices: provider.listVoices()
+  };
 }
 
 /**
- * Check if Azure credentials are configured
+ * Close a slot's synthesizer so the next request gets a fresh one
  */
-function checkCredentials() {
-  return !!(SPEECH_KEY && SPEECH_REGION);
+function discardSynthesizer(slot) {
+  if (slot.synthesizer) {
+    try {
+      slot.synthesizer.close();
+    } catch (e) {
+      // Ignore
+    }
+    slot.synthesizer = null;
+  }
 }
 
 /**
- * Get random conversation starter
+ * Get an idle pool slot, growing the pool up to MAX_POOL_SIZE
  */
-export function getRandomConversationStarter() {
-  const starters = [
-    "Hi there. I'm really glad you reached out today. What's been on your mind?",
-    "Hello. It's good to connect with you. How are you feeling right now?",
-    "Hi. Thank you for being here. What's bringing you in today?",
-    "Hello. I'm here to listen. What would you like to share with me?",
-    "Hi there. I appreciate you taking this step. How has your day been treating you?",
-    "Hello. It's nice to meet you. What's been weighing on your heart lately?",
-    "Hi. I'm glad we're having this conversation. What feels most important to talk about right now?",
-    "Hello. Thank you for trusting me with your time. How are you holding up today?"
-  ];
-  return starters[Math.floor(Math.random() * starters.length)];
+function acquireSlot() {
+  const idle = synthesizerPool.find(slot => !slot.request);
+  if (idle) return idle;
+
+  if (synthesizerPool.length < MAX_POOL_SIZE) {
+    const slot = { synthesizer: null, request: null };
+    synthesizerPool.push(slot);
+    return slot;
+  }
+  return null;
 }
 
-/**
- * Create or get persistent synthesizer
- */
-function getPersistentSynthesizer() {
-  if (!persistentSynthesizer) {
-    const speechConfig = sdk.SpeechConfig.fromSubscription(SPEECH_KEY, SPEECH_REGION);
-    const voiceName = currentVoiceGender === 'female' ? 'en-US-AvaNeural' : 'en-US-AndrewNeural';
-    speechConfig.speechSynthesisVoiceName = voiceName;
-    speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat.Audio24Khz160KBitRateMonoMp3;
-
-    persistentSynthesizer = new sdk.SpeechSynthesizer(speechConfig);
+function getSessionStats(sessionId) {
+  let stats = sessionStats.get(sessionId);
+  if (!stats) {
+    stats = { processed: 0, totalWaitMs: 0, lastWaitMs: 0, maxWaitMs: 0 };
+    sessionStats.set(sessionId, stats);
   }
-  return persistentSynthesizer;
+  return stats;
+}
+
+function isSessionActive(sessionId) {
+  return synthesizerPool.some(slot => slot.request && slot.request.sessionId === sessionId);
 }
 
 /**
- * Generate optimized SSML based on performance mode
+ * Pick the next request round-robin across sessions.
+ * A session is only served once its previous request has finished so its audio stays in order.
  */
-function generateOptimizedSSML(text) {
-  const voiceName = currentVoiceGender === 'female' ? 'en-US-AvaNeural' : 'en-US-AndrewNeural';
-
-  // Escape XML characters
-  const escapedText = text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
-
-  switch (currentPerformanceMode) {
-    case PERFORMANCE_MODES.FAST:
-      // Minimal SSML - just voice selection, no prosody
-      return `<speak version="1.0" xml:lang="en-US"><voice name="${voiceName}">${escapedText}</voice></speak>`;
-
-    case PERFORMANCE_MODES.BALANCED:
-      // Basic prosody without complex styling
-      const isFemale = currentVoiceGender === 'female';
-      return `<speak version="1.0" xml:lang="en-US">
-        <voice name="${voiceName}">
-          <prosody rate="${isFemale ? '0.95' : '0.9'}" pitch="${isFemale ? '+2%' : '+1%'}" volume="+5%">
-            ${escapedText}
-          </prosody>
-        </voice>
-      </speak>`;
-
-    case PERFORMANCE_MODES.QUALITY:
-    default:
-      // Full SSML with natural speech patterns
-      const isFemaleQ = currentVoiceGender === 'female';
-      const voiceStyle = isFemaleQ ? 'warm' : 'friendly';
-
-      const processedText = escapedText
-        .replace(/\?/, '<break time="200ms"/>?')
-        .replace(/\./g, '<break time="150ms"/>.')
-        .replace(/,/g, '<break time="100ms"/>,')
-        .replace(/!/g, '<break time="150ms"/>!');
-
-      return `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis"
-             xmlns:mstts="http://www.w3.org/2001/mstts" xml:lang="en-US">
-        <voice name="${voiceName}">
-          <mstts:express-as style="${voiceStyle}" styledegree="1.3">
-            <prosody rate="${isFemaleQ ? '0.95' : '0.9'}" pitch="${isFemaleQ ? '+3%' : '+2%'}" volume="+8%">
-              <break time="50ms"/>
-              ${processedText}
-              <break time="200ms"/>
-            </prosody>
-          </mstts:express-as>
-        </voice>
-      </speak>`;
+function takeNextRequest() {
+  for (let i = 0; i < roundRobinOrder.length; i++) {
+    const sessionId = roundRobinOrder[i];
+    if (isSessionActive(sessionId)) continue;
+
+    const queue = sessionQueues.get(sessionId);
+    const request = queue.shift();
+
+    // Rotate: this session goes to the back of the line (or leaves it when drained)
+    roundRobinOrder.splice(i, 1);
+    if (queue.length > 0) {
+      roundRobinOrder.push(sessionId);
+    } else {
+      sessionQueues.delete(sessionId);
+    }
+    return request;
   }
+  return null;
 }
 
 /**
- * Process the next request in queue
+ * Start queued requests while there are free pool slots
  */
 function processQueue() {
-  if (isProcessingQueue || requestQueue.length === 0 || isSynthesizerBusy) {
-    return;
-  }
+  while (roundRobinOrder.length > 0) {
+    const slot = acquireSlot();
+    if (!slot) return;
+
+    const request = takeNextRequest();
+    if (!request) return;
 
-  isProcessingQueue = true;
-  const nextRequest = requestQueue.shift();
+    const waitMs = Date.now() - request.enqueuedAt;
+    const stats = getSessionStats(request.sessionId);
+    stats.processed++;
+    stats.totalWaitMs += waitMs;
+    stats.lastWaitMs = waitMs;
+    stats.maxWaitMs = Math.max(stats.maxWaitMs, waitMs);
 
-  if (nextRequest) {
-    textToSpeechInternal(nextRequest.text, nextRequest.onAudioChunk, nextRequest.onError, nextRequest.onComplete);
-  } else {
-    isProcessingQueue = false;
+    request.start(slot);
   }
 }
 
 /**
- * Add request to queue
+ * Add request to its session's queue
  */
-function queueRequest(text, onAudioChunk, onError, onComplete) {
-  requestQueue.push({ text, onAudioChunk, onError, onComplete });
-  processQueue();
+function queueRequest(request) {
+  let queue = sessionQueues.get(request.sessionId);
+  if (!queue) {
+    queue = [];
+    sessionQueues.set(request.sessionId, queue);
+  }
+  queue.push(request);
+  if (!roundRobinOrder.includes(request.sessionId)) {
+    roundRobinOrder.push(request.sessionId);
+  }
 }
 
 /**
- * Ultra-fast streaming text-to-speech with proper queuing
+ * Remove a request that has not started yet
+ * @returns {boolean} - true if it was still queued
  */
-export function textToSpeech(text, onAudioChunk, onError, onComplete) {
+function dequeueRequest(request) {
+  const queue = sessionQueues.get(request.sessionId);
+  const index = queue ? queue.indexOf(request) : -1;
+  if (index === -1) return false;
+
+  queue.splice(index, 1);
+  if (queue.length === 0) {
+    sessionQueues.delete(request.sessionId);
+    roundRobinOrder = roundRobinOrder.filter(id => id !== request.sessionId);
+  }
+  return true;
+}
+
+/**
+ * Ultra-fast streaming text-to-speech with fair pooled scheduling
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Session the request belongs to (fairness and cleanup)
+ * @param {Object} [options.voiceConfig] - Per-session { gender, voiceName, style, performanceMode },
+ *   plus this sentence's { expression }
+ * @param {Function} [options.onWordBoundary] - Called with { textOffset, wordLength, audioOffsetMs } per
+ *   rendered word, when the provider reports them
+ * @param {Function} [options.onViseme] - Called with { visemeId, audioOffsetMs }; visemes are only
+ *   requested when given
+ * @returns {{ id: number, stop: Function, getState: Function }} - Handle for queued or running synthesis
+ */
+export function textToSpeech(text, onAudioChunk, onError, onComplete, { sessionId, voiceConfig, onWordBoundary, onViseme } = {}) {
+  // Failures still report completion (asynchronously, like real synthesis) so callers can move on
   if (!text || typeof text !== 'string') {
     if (onError) onError('Invalid text input');
-    return { stop: () => {} };
+    if (onComplete) setTimeout(onComplete, 0);
+    return { id: 0, stop: () => {}, getState: () => 'failed' };
   }
 
-  if (!checkCredentials()) {
-    if (onError) onError('Azure credentials not configured');
-    return { stop: () => {} };
+  if (!provider.isConfigured()) {
+    if (onError) onError(`TTS provider "${provider.name}" is not configured`);
+    if (onComplete) setTimeout(onComplete, 0);
+    return { id: 0, stop: () => {}, getState: () => 'failed' };
   }
 
-  // If synthesizer is busy, queue the request
-  if (isSynthesizerBusy) {
-    return queueRequest(text, onAudioChunk, onError, onComplete);
-  }
+  // Pool slots are shared, so synthesis and callbacks run in the caller's log context
+  const request = {
+    id: nextRequestId++,
+    sessionId: sessionId || DEFAULT_SESSION,
+    text,
+    voiceConfig: normalizeVoiceConfig(voiceConfig),
+    onAudioChunk: onAudioChunk && bindLogContext(onAudioChunk),
+    onWordBoundary: onWordBoundary && bindLogContext(onWordBoundary),
+    onViseme: onViseme && bindLogContext(onViseme),
+    onError: onError && bindLogContext(onError),
+    onComplete: onComplete && bindLogContext(onComplete),
+    enqueuedAt: Date.now(),
+    state: 'queued',
+    stopActive: null
+  };
+  request.start = bindLogContext((slot) => textToSpeechInternal(slot, request));
+
+  queueRequest(request);
+  processQueue();
 
-  // Process immediately if not busy
-  return textToSpeechInternal(text, onAudioChunk, onError, onComplete);
+  return {
+    id: request.id,
+    getState: () => request.state,
+    stop: () => {
+      if (request.state === 'queued' && dequeueRequest(request)) {
+        settleCancelledRequest(request);
+      } else if (request.state === 'active' && request.stopActive) {
+        request.stopActive();
+      }
+    }
+  };
 }
 
 /**
- * Internal TTS function (called by queue processor)
+ * Settle a queued request that will never run: it completes as cancelled, like a stopped one
  */
-function textToSpeechInternal(text, onAudioChunk, onError, onComplete) {
-  isSynthesizerBusy = true;
-  const synthesizer = getPersistentSynthesizer();
+function settleCancelledRequest(request) {
+  request.state = 'cancelled';
+  if (request.onComplete) request.onComplete();
+}
+
+/**
+ * Internal TTS function (called by queue processor on a free pool slot)
+ */
+function textToSpeechInternal(slot, request) {
+  const { text, voiceConfig, onAudioChunk, onWordBoundary, onViseme, onError, onComplete } = request;
   let isInterrupted = false;
+  let isFinished = false;
+  const startedAt = Date.now();
+
+  slot.request = request;
+  request.state = 'active';
 
+  // Runs exactly once whether synthesis completes, fails or is stopped
   const cleanup = () => {
-    isSynthesizerBusy = false;
+    if (isFinished) return;
+    isFinished = true;
+    slot.request = null;
+    request.stopActive = null;
+    if (request.state === 'active') request.state = isInterrupted ? 'cancelled' : 'completed';
+    const durationMs = Date.now() - startedAt;
+    ttsSynthesisDuration.observe({ performance_mode: voiceConfig.performanceMode, status: request.state }, durationMs / 1000);
+    logger.debug('Synthesis finished', {
+      provider: provider.name,
+      requestId: request.id,
+      status: request.state,
+      performanceMode: voiceConfig.performanceMode,
+      durationMs
+    });
     if (onComplete) onComplete();
     // Process next item in queue
-    setTimeout(() => {
-      isProcessingQueue = false;
-      processQueue();
-    }, 50);
+    setTimeout(processQueue, 0);
+  };
+
+  request.stopActive = () => {
+    if (!isInterrupted) {
+      isInterrupted = true;
+      try {
+        if (slot.synthesizer) slot.synthesizer.stop();
+      } catch (e) {
+      }
+      cleanup();
+    }
   };
 
   try {
-    const ssml = generateOptimizedSSML(text);
-
-    synthesizer.speakSsmlAsync(
-      ssml,
-      result => {
-        if (!isInterrupted && result.reason === sdk.ResultReason.SynthesizingAudioCompleted) {
-          if (result.audioData && result.audioData.byteLength > 0 && onAudioChunk) {
-            const base64Audio = Buffer.from(result.audioData).toString('base64');
-            onAudioChunk(base64Audio);
-          }
-        } else if (result.reason !== sdk.ResultReason.SynthesizingAudioCompleted) {
-          if (onError) onError(`Speech synthesis failed: ${result.reason}`);
-        }
+    if (!slot.synthesizer) {
+      slot.synthesizer = provider.createSynthesizer();
+    }
+
+    slot.synthesizer.speak(text, voiceConfig, {
+      onAudio: audio => {
+        if (isInterrupted || isFinished) return;
+        if (onAudioChunk) onAudioChunk(audio.toString('base64'));
+      },
+      onWordBoundary: boundary => {
+        if (isInterrupted || isFinished) return;
+        if (onWordBoundary) onWordBoundary(boundary);
+      },
+      onViseme: onViseme && (viseme => {
+        if (isInterrupted || isFinished) return;
+        onViseme(viseme);
+      }),
+      onDone: () => {
+        if (isInterrupted || isFinished) return;
         cleanup();
       },
-      error => {
-        if (onError) onError(`TTS Error: ${error}`);
+      onError: error => {
+        if (isInterrupted || isFinished) return;
+        request.state = 'failed';
+        if (onError) onError(error);
         cleanup();
       }
-    );
-
-    return {
-      stop: () => {
-        if (!isInterrupted) {
-          isInterrupted = true;
-          try {
-            synthesizer.stopSpeakingAsync();
-          } catch (e) {
-          }
-          cleanup();
-        }
-      }
-    };
+    });
 
   } catch (err) {
+    request.state = 'failed';
+    discardSynthesizer(slot);
     if (onError) onError(`Exception: ${err.message}`);
     cleanup();
-    return { stop: () => {} };
   }
 }
 
 /**
- * Force cleanup of persistent synthesizer and clear queue
+ * Cancel a session's queued and active requests; each one still gets its onComplete.
+ * Without a sessionId, shuts down the whole pool and clears every queue.
  */
-export function cleanupSynthesizer() {
-  if (persistentSynthesizer) {
-    try {
-      persistentSynthesizer.close();
-    } catch (e) {
-      // Ignore
-    }
-    persistentSynthesizer = null;
+export function cleanupSynthesizer(sessionId) {
+  if (sessionId) {
+    const queue = sessionQueues.get(sessionId) || [];
+    sessionQueues.delete(sessionId);
+    roundRobinOrder = roundRobinOrder.filter(id => id !== sessionId);
+    queue.forEach(settleCancelledRequest);
+
+    synthesizerPool
+      .filter(slot => slot.request && slot.request.sessionId === sessionId)
+      .forEach(slot => slot.request.stopActive && slot.request.stopActive());
+
+    sessionStats.delete(sessionId);
+    return;
   }
-  isSynthesizerBusy = false;
-  requestQueue = [];
-  isProcessingQueue = false;
+
+  const queued = [...sessionQueues.values()].flat();
+  sessionQueues.clear();
+  roundRobinOrder = [];
+  queued.forEach(settleCancelledRequest);
+
+  synthesizerPool.forEach(slot => {
+    if (slot.request && slot.request.stopActive) slot.request.stopActive();
+    discardSynthesizer(slot);
+  });
+  synthesizerPool.length = 0;
+  sessionStats.clear();
 }
 
 /**
- * Get queue status
+ * Get queue status, including per-session queue depth and wait times
  */
 export function getQueueStatus() {
+  const now = Date.now();
+  const sessionIds = new Set([...sessionQueues.keys(), ...sessionStats.keys()]);
+  synthesizerPool.forEach(slot => slot.request && sessionIds.add(slot.request.sessionId));
+
+  const perSession = [...sessionIds].map(sessionId => {
+    const queue = sessionQueues.get(sessionId) || [];
+    const stats = sessionStats.get(sessionId) || { processed: 0, totalWaitMs: 0, lastWaitMs: 0, maxWaitMs: 0 };
+    return {
+      sessionId,
+      depth: queue.length,
+      active: isSessionActive(sessionId),
+      oldestWaitMs: queue.length > 0 ? now - queue[0].enqueuedAt : 0,
+      lastWaitMs: stats.lastWaitMs,
+      averageWaitMs: stats.processed > 0 ? Math.round(stats.totalWaitMs / stats.processed) : 0,
+      maxWaitMs: stats.maxWaitMs
+    };
+  });
+
+  const activeCount = synthesizerPool.filter(slot => slot.request).length;
+
   return {
-    queueLength: requestQueue.length,
-    isBusy: isSynthesizerBusy,
-    isProcessing: isProcessingQueue
+    queueLength: perSession.reduce((total, session) => total + session.depth, 0),
+    isBusy: activeCount > 0,
+    isProcessing: activeCount > 0,
+    activeSynthesizers: activeCount,
+    poolSize: synthesizerPool.length,
+    maxPoolSize: MAX_POOL_SIZE,
+    sessions: perSession
   };
-}
\ No newline at end of file
+}
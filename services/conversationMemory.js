@@ -0,0 +1,181 @@
+// conversationMemory.js - Rolling conversation summarization
+//
+// The full history stays on the session, but only the turns after
+// `memory.summarizedUpTo` are sent to the model verbatim. Once those cross the
+// token budget, the oldest of them are folded into a running summary plus key
+// facts by a background LLM call, and the summary rides along as system context.
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+const logger = createLogger('memory');
+
+// Verbatim history allowed in the prompt before older turns get summarized
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 1200;
+
+// Most recent messages that always stay verbatim after summarization
+const KEEP_RECENT_MESSAGES = 6;
+
+// Hard cap on verbatim messages sent if summarization keeps failing
+const MAX_CONTEXT_MESSAGES = 20;
+
+// Appended to replies the client cut off, so the model doesn't assume they heard the rest
+const INTERRUPTED_MARKER = '[interrupted by the client]';
+
+// Hard cap on messages stored per session
+export const MAX_STORED_MESSAGES = 400;
+
+const MAX_FACTS_PER_KIND = 12;
+
+// Sessions with a summarization call in flight
+const summarizing = new WeakSet();
+
+/**
+ * Empty memory for a new session
+ */
+export function createMemory() {
+  return {
+    summary: '',
+    facts: { names: [], events: [], goals: [] },
+    summarizedUpTo: 0,
+    updatedAt: null
+  };
+}
+
+/**
+ * Rough token estimate (~4 characters per token for English)
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function countTokens(messages) {
+  return messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+}
+
+/**
+ * Messages to send verbatim: everything not yet summarized, capped as a safety net
+ * @returns {Array<{ role: string, content: string }>}
+ */
+export function getContextWindow(session) {
+  return session.conversationHistory
+    .slice(session.memory.summarizedUpTo)
+    .slice(-MAX_CONTEXT_MESSAGES)
+    .map(({ role, content, interrupted }) => ({
+      role,
+      content: interrupted && role === 'assistant' ? [content, INTERRUPTED_MARKER].filter(Boolean).join(' ') : content
+    }));
+}
+
+/**
+ * System context describing what the model should remember from earlier in the session
+ * @returns {string|null}
+ */
+export function buildMemoryContext(memory) {
+  const { summary, facts } = memory;
+  const factLines = [
+    facts.names.length > 0 ? `- People: ${facts.names.join('; ')}` : null,
+    facts.events.length > 0 ? `- Events: ${facts.events.join('; ')}` : null,
+    facts.goals.length > 0 ? `- Goals: ${facts.goals.join('; ')}` : null
+  ].filter(Boolean);
+
+  if (!summary && factLines.length === 0) return null;
+
+  let context = 'Memory of earlier in this session (refer to it naturally, never mention that it is a summary):';
+  if (summary) context += `\nSummary: ${summary}`;
+  if (factLines.length > 0) context += `\nKey facts about the client:\n${factLines.join('\n')}`;
+  return context;
+}
+
+/**
+ * Append a message (stamped with the time it was added), keeping stored history
+ * within MAX_STORED_MESSAGES
+ * @returns {Object} - The stored message
+ */
+export function appendMessage(session, message) {
+  const stored = { ...message, timestamp: message.timestamp || new Date().toISOString() };
+  session.conversationHistory.push(stored);
+
+  const overflow = session.conversationHistory.length - MAX_STORED_MESSAGES;
+  if (overflow > 0) {
+    session.conversationHistory.splice(0, overflow);
+    session.memory.summarizedUpTo = Math.max(0, session.memory.summarizedUpTo - overflow);
+  }
+  return stored;
+}
+
+/**
+ * True when the verbatim history is over budget and no summarization is running
+ */
+export function shouldSummarize(session) {
+  if (summarizing.has(session)) return false;
+  const pending = session.conversationHistory.slice(session.memory.summarizedUpTo);
+  return pending.length > KEEP_RECENT_MESSAGES && countTokens(pending) > HISTORY_TOKEN_BUDGET;
+}
+
+function mergeFacts(previous, next) {
+  const merged = {};
+  for (const kind of ['names', 'events', 'goals']) {
+    const values = [...previous[kind], ...(Array.isArray(next?.[kind]) ? next[kind] : [])]
+      .filter(value => typeof value === 'string' && value.trim())
+      .map(value => value.trim());
+    // Newest facts win when the list is full
+    merged[kind] = [...new Set(values)].slice(-MAX_FACTS_PER_KIND);
+  }
+  return merged;
+}
+
+/**
+ * Fold the oldest unsummarized turns into the running summary.
+ * Safe to call without awaiting - failures leave the history untouched.
+ * @param {Object} session - Session with conversationHistory and memory
+ * @param {Function} summarizer - async ({ previousSummary, facts, messages }) => { summary, facts } | null
+ * @returns {Promise<boolean>} - true if the memory was updated
+ */
+export async function summarizeHistory(session, summarizer) {
+  if (summarizing.has(session)) return false;
+
+  const start = session.memory.summarizedUpTo;
+  const end = session.conversationHistory.length - KEEP_RECENT_MESSAGES;
+  if (end <= start) return false;
+
+  summarizing.add(session);
+  try {
+    const summarized = session.conversationHistory.slice(start, end);
+    const lastSummarized = summarized[summarized.length - 1];
+    const messages = summarized.map(({ role, content }) => ({ role, content }));
+    const result = await summarizer({
+      previousSummary: session.memory.summary,
+      facts: session.memory.facts,
+      messages
+    });
+
+    if (!result || typeof result.summary !== 'string' || !result.summary.trim()) {
+      return false;
+    }
+
+    // History may have been trimmed from the front while the call was in flight
+    const summarizedUpTo = session.conversationHistory.indexOf(lastSummarized) + 1;
+    session.memory = {
+      summary: result.summary.trim(),
+      facts: mergeFacts(session.memory.facts, result.facts),
+      summarizedUpTo,
+      updatedAt: new Date().toISOString()
+    };
+    return true;
+  } catch (error) {
+    logger.warn('Summarization failed', { error: error.message });
+    return false;
+  } finally {
+    summarizing.delete(session);
+  }
+}
@@ -0,0 +1,184 @@
+// exercises.js - Guided breathing and grounding exercises
+//
+// An exercise is a scripted sequence of short spoken steps, each followed by a timed
+// pause that is rendered into the audio (SSML breaks), so the pacing survives however
+// far synthesis runs ahead of playback. Exercises are loaded from the JSON files in
+// EXERCISES_DIR (default config/exercises). Clients start them with `startExercise`;
+// the model can start one with the start_exercise tool.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { TONES } from './speakingStyle.js';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+const logger = createLogger('exercises');
+
+const EXERCISES_DIR = process.env.EXERCISES_DIR || path.join(__dirname, '..', 'config', 'exercises');
+
+export const EXERCISE_TOOL_NAME = 'start_exercise';
+
+const EXERCISE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const MAX_STEPS = 40;
+const MAX_ROUNDS = 10;
+const MAX_PAUSE_MS = 30000;
+const MAX_TEXT_LENGTH = 400;
+
+// Silence after the introduction, before the first step
+const INTRO_PAUSE_MS = 1500;
+
+// Used only when no exercise files can be loaded, so the tool always has something to offer
+const BUILT_IN_EXERCISE = {
+  id: 'box-breathing',
+  title: 'Box Breathing',
+  description: 'Four slow counts in, hold, out and hold, to steady the breath and calm the body',
+  tone: 'calm',
+  intro: "Let's do some box breathing together. Get comfortable, and let your shoulders drop.",
+  rounds: 4,
+  steps: [
+    { text: 'Breathe in slowly through your nose.', pauseMs: 4000 },
+    { text: 'Hold.', pauseMs: 4000 },
+    { text: 'Breathe out gently through your mouth.', pauseMs: 4000 },
+    { text: 'Hold.', pauseMs: 4000 }
+  ],
+  outro: 'Well done. Let your breathing return to its own rhythm.'
+};
+
+const exercises = new Map();
+
+const isText = value => typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_TEXT_LENGTH;
+
+/**
+ * Validate an exercise file's contents
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateExercise(exercise) {
+  if (!exercise || typeof exercise !== 'object') return 'Exercise must be an object';
+  if (typeof exercise.id !== 'string' || !EXERCISE_ID_PATTERN.test(exercise.id)) return 'Invalid id. Use up to 40 lowercase letters, digits or dashes';
+  if (!isText(exercise.title) || !isText(exercise.description)) return 'title and description are required';
+  if (!isText(exercise.intro) || !isText(exercise.outro)) return 'intro and outro are required';
+  if (exercise.tone != null && !TONES[exercise.tone]) return `tone must be one of: ${Object.keys(TONES).join(', ')}`;
+  if (exercise.rounds != null && (!Number.isInteger(exercise.rounds) || exercise.rounds < 1 || exercise.rounds > MAX_ROUNDS)) {
+    return `rounds must be 1-${MAX_ROUNDS}`;
+  }
+  if (!Array.isArray(exercise.steps) || exercise.steps.length === 0 || exercise.steps.length > MAX_STEPS) {
+    return `steps must be a list of 1-${MAX_STEPS} steps`;
+  }
+  const validStep = step => step && isText(step.text) && Number.isInteger(step.pauseMs) && step.pauseMs >= 0 && step.pauseMs <= MAX_PAUSE_MS;
+  if (!exercise.steps.every(validStep)) return `every step needs text and a pauseMs of 0-${MAX_PAUSE_MS}`;
+  return null;
+}
+
+/**
+ * Load every exercise file from EXERCISES_DIR (called once on first use)
+ */
+function loadExercises() {
+  let files = [];
+  try {
+    files = fs.readdirSync(EXERCISES_DIR).filter(name => name.endsWith('.json'));
+  } catch (error) {
+    logger.error('Could not read exercise directory', { directory: EXERCISES_DIR, error: error.message });
+  }
+
+  for (const name of files) {
+    try {
+      const exercise = JSON.parse(fs.readFileSync(path.join(EXERCISES_DIR, name), 'utf8'));
+      const error = validateExercise(exercise);
+      if (error) {
+        logger.warn('Skipping invalid exercise', { file: name, error });
+        continue;
+      }
+      exercises.set(exercise.id, { tone: 'calm', rounds: 1, ...exercise });
+    } catch (error) {
+      logger.error('Could not load exercise', { file: name, error: error.message });
+    }
+  }
+
+  if (exercises.size === 0) {
+    exercises.set(BUILT_IN_EXERCISE.id, BUILT_IN_EXERCISE);
+  }
+}
+
+function ensureLoaded() {
+  if (exercises.size === 0) loadExercises();
+}
+
+/**
+ * Look up an exercise by id
+ * @returns {Object|null} - null for unknown ids
+ */
+export function findExercise(id) {
+  ensureLoaded();
+  return exercises.get(id) || null;
+}
+
+/**
+ * Summaries of every exercise for clients
+ */
+export function listExercises() {
+  ensureLoaded();
+  return [...exercises.values()].map(exercise => ({
+    id: exercise.id,
+    title: exercise.title,
+    description: exercise.description,
+    totalSteps: buildScript(exercise).length,
+    durationSeconds: estimateDuration(exercise)
+  }));
+}
+
+/**
+ * Everything spoken during an exercise, in order: the introduction, every step of every
+ * round, then the closing words
+ * @returns {Array<{ kind: string, text: string, pauseMs: number, round: number|null }>}
+ */
+export function buildScript(exercise) {
+  const script = [{ kind: 'intro', text: exercise.intro, pauseMs: INTRO_PAUSE_MS, round: null }];
+  for (let round = 1; round <= exercise.rounds; round++) {
+    for (const step of exercise.steps) {
+      script.push({ kind: 'step', text: step.text, pauseMs: step.pauseMs, round });
+    }
+  }
+  script.push({ kind: 'outro', text: exercise.outro, pauseMs: 0, round: null });
+  return script;
+}
+
+/**
+ * Rough running time: the pauses plus speaking time at about 150 words per minute
+ */
+function estimateDuration(exercise) {
+  const script = buildScript(exercise);
+  const words = script.reduce((sum, segment) => sum + segment.text.split(/\s+/).length, 0);
+  const pauseMs = script.reduce((sum, segment) => sum + segment.pauseMs, 0);
+  return Math.round(pauseMs / 1000 + words / 150 * 60);
+}
+
+/**
+ * Function-calling tool the model can use to start an exercise (OpenAI tools format)
+ */
+export function getExerciseTool() {
+  ensureLoaded();
+  const available = [...exercises.values()];
+  return {
+    type: 'function',
+    function: {
+      name: EXERCISE_TOOL_NAME,
+      description: 'Guide the client through a spoken exercise, step by step with timed pauses. Use it when the client asks for a breathing, grounding or relaxation exercise, or agrees to try one. The exercise starts after your reply, so keep the reply to a short lead-in and don\'t describe the steps yourself. Available: ' +
+        available.map(exercise => `${exercise.id} (${exercise.description})`).join('; '),
+      parameters: {
+        type: 'object',
+        properties: {
+          exercise: { type: 'string', enum: available.map(exercise => exercise.id) }
+        },
+        required: ['exercise']
+      }
+    }
+  };
+}
@@ -0,0 +1,543 @@
+// llmProviders.js - Pluggable LLM providers with an ordered fallback chain
+//
+// Every provider implements the same contract:
+//   { name, model, isConfigured(), complete(messages, options), stream(messages, options) }
+// `complete` resolves with the reply text. `stream` calls options.onDelta for each text
+// fragment and resolves with the full text. Both accept { signal, params }, where
+// params override the provider's sampling parameters for that call. `stream` also takes
+// { tools, onToolCall }: function-calling tools (OpenAI format) offered to the model, and
+// a callback for each call it makes, { id, name, arguments }, once the stream has ended.
+
+import fs from 'fs';
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { llmRequestDuration, llmErrors } from './metrics.js';
+import { createLogger, getLogContext } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+const logger = createLogger('llm');
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+
+const DEFAULT_PARAMS = {
+  max_tokens: 120,
+  temperature: 0.8,
+  top_p: 0.9,
+  frequency_penalty: 0.2,
+  presence_penalty: 0.1
+};
+
+const DEFAULT_TIMEOUT_MS = 8000;
+// Once a stream has started: longest wait between chunks, and longest whole reply
+const DEFAULT_IDLE_TIMEOUT_MS = 5000;
+const DEFAULT_STREAM_TIMEOUT_MS = 20000;
+
+/**
+ * Error raised by a provider; `status` is the HTTP status when there was one
+ */
+export class LLMProviderError extends Error {
+  constructor(message, { provider, status } = {}) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+/**
+ * Abort controller that fires on the caller's signal, after timeoutMs, or after maxMs in
+ * total. `touch` restarts the timer with idleTimeoutMs each time the provider sends something.
+ */
+function createCallController(signal, timeoutMs, { idleTimeoutMs = timeoutMs, maxMs } = {}) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+  let timeoutId = setTimeout(onAbort, timeoutMs);
+  const maxTimeoutId = maxMs ? setTimeout(onAbort, maxMs) : null;
+
+  return {
+    signal: controller.signal,
+    touch: () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(onAbort, idleTimeoutMs);
+    },
+    dispose: () => {
+      clearTimeout(timeoutId);
+      clearTimeout(maxTimeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+/**
+ * Any OpenAI-compatible /chat/completions endpoint (llama.cpp server, Ollama, vLLM, OpenAI...)
+ * @param {Object} config
+ * @param {string} config.name - Provider name used in logs and metrics
+ * @param {string} config.baseUrl - API base, e.g. http://localhost:11434/v1
+ * @param {string} config.model - Model id sent in the request
+ * @param {string} [config.apiKey] - Bearer token, if the endpoint needs one
+ * @param {boolean} [config.requiresApiKey] - Treat the provider as unconfigured without an API key
+ * @param {Object} [config.headers] - Extra request headers
+ * @param {Object} [config.params] - Sampling parameters (merged over the defaults)
+ * @param {number} [config.timeoutMs] - Total timeout for complete(), first-token timeout for stream()
+ * @param {number} [config.idleTimeoutMs] - Longest gap between tokens once stream() has started
+ * @param {number} [config.streamTimeoutMs] - Total timeout for stream()
+ */
+export function createOpenAICompatibleProvider({ name, baseUrl, model, apiKey, requiresApiKey = false, headers = {}, params = {}, timeoutMs = DEFAULT_TIMEOUT_MS, idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS, streamTimeoutMs = DEFAULT_STREAM_TIMEOUT_MS }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const request = (messages, stream, signal, overrides, tools) => {
+    // Lets provider-side logs be matched with ours
+    const { correlationId } = getLogContext();
+    return fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        ...(correlationId ? { 'X-Correlation-ID': correlationId } : {}),
+        ...headers
+      },
+      signal,
+      body: JSON.stringify({
+        model,
+        messages,
+        ...DEFAULT_PARAMS,
+        ...params,
+        ...overrides,
+        ...(tools && tools.length > 0 ? { tools } : {}),
+        stream
+      })
+    });
+  };
+
+  const checkResponse = async (response) => {
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new LLMProviderError(`API error: ${response.status} - ${errorText.substring(0, 200)}`, { provider: name, status: response.status });
+    }
+  };
+
+  return {
+    name,
+    model,
+
+    isConfigured() {
+      return !!baseUrl && !!model && (!requiresApiKey || !!apiKey);
+    },
+
+    async complete(messages, { signal, params: overrides } = {}) {
+      const call = createCallController(signal, timeoutMs);
+      try {
+        const response = await request(messages, false, call.signal, overrides);
+        await checkResponse(response);
+
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+          throw new LLMProviderError('Invalid response structure', { provider: name, status: response.status });
+        }
+        return content.trim();
+      } finally {
+        call.dispose();
+      }
+    },
+
+    async stream(messages, { signal, params: overrides, onDelta, tools, onToolCall } = {}) {
+      const call = createCallController(signal, timeoutMs, { idleTimeoutMs, maxMs: streamTimeoutMs });
+      let fullText = '';
+      // Tool call fragments by index; the arguments arrive as pieces of a JSON string
+      const toolCalls = [];
+
+      try {
+        const response = await request(messages, true, call.signal, overrides, tools);
+        await checkResponse(response);
+
+        let lineBuffer = '';
+        let done = false;
+
+        for await (const chunk of response.body) {
+          lineBuffer += chunk.toString('utf8');
+          const lines = lineBuffer.split('\n');
+          lineBuffer = lines.pop();
+
+          for (const rawLine of lines) {
+            const line = rawLine.trim();
+            // Skip blank lines and SSE comments (": OPENROUTER PROCESSING")
+            if (!line.startsWith('data:')) continue;
+
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') {
+              done = true;
+              break;
+            }
+
+            let data;
+            try {
+              data = JSON.parse(payload);
+            } catch (e) {
+              continue;
+            }
+
+            const delta = data.choices?.[0]?.delta?.content;
+            if (delta) {
+              call.touch();
+              fullText += delta;
+              if (onDelta) onDelta(delta);
+            }
+
+            for (const fragment of data.choices?.[0]?.delta?.tool_calls || []) {
+              call.touch();
+              const toolCall = toolCalls[fragment.index ?? 0] ||= { id: null, name: '', arguments: '' };
+              if (fragment.id) toolCall.id = fragment.id;
+              if (fragment.function?.name) toolCall.name += fragment.function.name;
+              if (fragment.function?.arguments) toolCall.arguments += fragment.function.arguments;
+            }
+          }
+
+          if (done) break;
+        }
+
+        const calls = toolCalls.filter(toolCall => toolCall && toolCall.name);
+        if (!fullText.trim() && calls.length === 0) {
+          throw new LLMProviderError('Empty streamed response', { provider: name, status: response.status });
+        }
+        for (const toolCall of calls) {
+          let args = {};
+          try {
+            args = JSON.parse(toolCall.arguments || '{}');
+          } catch (e) {
+            logger.warn('Ignoring malformed tool call arguments', { provider: name, tool: toolCall.name });
+          }
+          if (onToolCall) onToolCall({ id: toolCall.id, name: toolCall.name, arguments: args });
+        }
+        return fullText;
+      } finally {
+        call.dispose();
+      }
+    }
+  };
+}
+
+/**
+ * OpenRouter (OpenAI-compatible with attribution headers)
+ */
+export function createOpenRouterProvider({ name = 'openrouter', model, apiKey, params, timeoutMs, idleTimeoutMs, streamTimeoutMs }) {
+  return createOpenAICompatibleProvider({
+    name,
+    baseUrl: OPENROUTER_BASE_URL,
+    model,
+    apiKey,
+    requiresApiKey: true,
+    headers: {
+      'HTTP-Referer': process.env.OPENROUTER_SITE_URL || 'http://localhost:3001',
+      'X-Title': 'AI Therapist'
+    },
+    params,
+    timeoutMs,
+    idleTimeoutMs,
+    streamTimeoutMs
+  });
+}
+
+const MOCK_REPLIES = [
+  "That sounds like a lot to carry. What feels heaviest about it right now?",
+  "I hear you. When you notice that feeling, where do you feel it in your body?",
+  "Thank you for sharing that with me. What do you think you need most right now?",
+  "It makes sense that you'd feel that way. How long has this been on your mind?"
+];
+
+function hashText(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Deterministic offline provider for tests and local development.
+ * The reply depends only on the last user message; JSON-mode calls
+ * (safety classifier, summaries) get a neutral JSON answer.
+ */
+export function createMockProvider({ name = 'mock', replies = MOCK_REPLIES, delayMs = 0, failWith = null } = {}) {
+  const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new LLMProviderError('Aborted', { provider: name }));
+    const timeoutId = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timeoutId);
+      reject(new LLMProviderError('Aborted', { provider: name }));
+    }, { once: true });
+  });
+
+  const reply = (messages, overrides = {}) => {
+    if (failWith) {
+      throw new LLMProviderError(`Mock failure (${failWith})`, { provider: name, status: failWith });
+    }
+
+    const userMessages = messages.filter(message => message.role === 'user');
+    const lastUser = userMessages[userMessages.length - 1]?.content || '';
+
+    if (overrides.response_format?.type === 'json_object') {
+      return JSON.stringify({
+        level: 'none',
+        categories: [],
+        summary: `The client talked about: ${lastUser.substring(0, 200)}`,
+        facts: { names: [], events: [], goals: [] }
+      });
+    }
+    return replies[hashText(lastUser) % replies.length];
+  };
+
+  return {
+    name,
+    model: 'mock',
+
+    isConfigured() {
+      return true;
+    },
+
+    async complete(messages, { signal, params } = {}) {
+      if (delayMs > 0) await wait(delayMs, signal);
+      return reply(messages, params);
+    },
+
+    async stream(messages, { signal, params, onDelta } = {}) {
+      const text = reply(messages, params);
+      // Word-sized deltas, like a real token stream
+      const deltas = text.match(/\S+\s*/g) || [];
+      for (const delta of deltas) {
+        if (delayMs > 0) await wait(delayMs, signal);
+        if (signal?.aborted) throw new LLMProviderError('Aborted', { provider: name });
+        if (onDelta) onDelta(delta);
+      }
+      return text;
+    }
+  };
+}
+
+const providerFactories = {
+  'openrouter': createOpenRouterProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  'mock': createMockProvider
+};
+
+/**
+ * Register an additional provider type for use in LLM config
+ */
+export function registerProviderType(type, factory) {
+  providerFactories[type] = factory;
+}
+
+/**
+ * Metrics status label for a failed attempt: HTTP status code, "aborted" (caller
+ * gave up), "timeout" or "error"
+ */
+function getErrorStatus(error, signal) {
+  if (error.status) return String(error.status);
+  if (signal?.aborted) return 'aborted';
+  if (error.name === 'AbortError') return 'timeout';
+  return 'error';
+}
+
+/**
+ * Providers tried in order. A provider that fails before producing any text falls
+ * through to the next one; a stream that fails midway is not restarted elsewhere.
+ */
+export function createProviderChain(providers) {
+  const configured = () => providers.filter(provider => provider.isConfigured());
+
+  const run = async (method, messages, options = {}) => {
+    let lastError = null;
+
+    for (const provider of configured()) {
+      let producedText = false;
+      const onDelta = options.onDelta
+        ? (delta) => {
+          producedText = true;
+          options.onDelta(delta);
+        }
+        : undefined;
+
+      const startedAt = process.hrtime.bigint();
+      const observe = (status) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        llmRequestDuration.observe({ provider: provider.name, model: provider.model, method, status }, seconds);
+        logger.debug('LLM request finished', { provider: provider.name, model: provider.model, method, status, durationMs: Math.round(seconds * 1000) });
+      };
+
+      try {
+        const text = await provider[method](messages, { ...options, onDelta });
+        observe('ok');
+        return { text, provider };
+      } catch (error) {
+        const status = getErrorStatus(error, options.signal);
+        observe(status);
+        if (status !== 'aborted') {
+          llmErrors.inc({ provider: provider.name, model: provider.model, status });
+        }
+
+        if (options.signal?.aborted || producedText) {
+          error.provider = error.provider || provider.name;
+          throw error;
+        }
+        lastError = error;
+        logger.warn('Provider failed, trying next provider', { provider: provider.name, model: provider.model, status, error: error.message });
+        if (options.onProviderError) options.onProviderError(provider, error);
+      }
+    }
+
+    throw lastError || new LLMProviderError('No LLM provider configured');
+  };
+
+  return {
+    providers,
+
+    isConfigured() {
+      return configured().length > 0;
+    },
+
+    /**
+     * @returns {Promise<{ text: string, provider: Object }>}
+     */
+    complete(messages, options) {
+      return run('complete', messages, options);
+    },
+
+    /**
+     * @returns {Promise<{ text: string, provider: Object }>}
+     */
+    stream(messages, options) {
+      return run('stream', messages, options);
+    }
+  };
+}
+
+function readNumber(name) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Provider definitions from environment variables
+ */
+function getEnvConfig() {
+  const params = {};
+  if (readNumber('LLM_MAX_TOKENS') !== undefined) params.max_tokens = readNumber('LLM_MAX_TOKENS');
+  if (readNumber('LLM_TEMPERATURE') !== undefined) params.temperature = readNumber('LLM_TEMPERATURE');
+  if (readNumber('LLM_TOP_P') !== undefined) params.top_p = readNumber('LLM_TOP_P');
+  const timeoutMs = readNumber('LLM_TIMEOUT_MS');
+
+  const providers = {
+    'openrouter': {
+      type: 'openrouter',
+      model: process.env.OPENROUTER_MODEL || 'openai/gpt-4o-mini',
+      apiKeyEnv: 'OPENROUTER_API_KEY',
+      params,
+      timeoutMs
+    },
+    'mock': { type: 'mock' }
+  };
+  const chain = ['openrouter'];
+
+  if (process.env.OPENROUTER_FALLBACK_MODEL) {
+    providers['openrouter-fallback'] = {
+      type: 'openrouter',
+      model: process.env.OPENROUTER_FALLBACK_MODEL,
+      apiKeyEnv: 'OPENROUTER_API_KEY',
+      params,
+      timeoutMs
+    };
+    chain.push('openrouter-fallback');
+  }
+
+  if (process.env.LLM_BASE_URL) {
+    providers['local'] = {
+      type: 'openai-compatible',
+      baseUrl: process.env.LLM_BASE_URL,
+      model: process.env.LLM_MODEL || 'default',
+      apiKeyEnv: 'LLM_API_KEY',
+      params,
+      timeoutMs
+    };
+    chain.push('local');
+  }
+
+  return { chain, providers };
+}
+
+/**
+ * Load LLM configuration: env defaults, overridden by a JSON config file
+ * (LLM_CONFIG_FILE, or config/llm.json when present), with LLM_CHAIN taking final precedence.
+ * @returns {{ chain: string[], providers: Object }}
+ */
+export function loadLLMConfig() {
+  const config = getEnvConfig();
+
+  const configFile = process.env.LLM_CONFIG_FILE || path.join(__dirname, '..', 'config', 'llm.json');
+  if (fs.existsSync(configFile)) {
+    try {
+      const fileConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+      Object.assign(config.providers, fileConfig.providers || {});
+      if (Array.isArray(fileConfig.chain)) config.chain = fileConfig.chain;
+    } catch (error) {
+      logger.error('Could not load LLM config', { file: configFile, error: error.message });
+    }
+  }
+
+  if (process.env.LLM_CHAIN) {
+    config.chain = process.env.LLM_CHAIN.split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  return config;
+}
+
+/**
+ * Environment variables the configured chain needs: the API keys of its providers that
+ * require one and don't set it in their definition
+ * @returns {string[]}
+ */
+export function getRequiredLLMEnv(config = loadLLMConfig()) {
+  const required = config.chain
+    .map(name => config.providers[name])
+    .filter(definition => definition?.apiKeyEnv && !definition.apiKey &&
+      (definition.type === 'openrouter' || definition.requiresApiKey))
+    .map(definition => definition.apiKeyEnv);
+  return [...new Set(required)];
+}
+
+/**
+ * Build the provider chain described by a config (defaults to loadLLMConfig())
+ */
+export function createLLMChain(config = loadLLMConfig()) {
+  const providers = config.chain.map(name => {
+    const definition = config.providers[name];
+    if (!definition) {
+      throw new Error(`LLM chain references unknown provider "${name}"`);
+    }
+
+    const factory = providerFactories[definition.type];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider type "${definition.type}" for "${name}"`);
+    }
+
+    const { type, apiKeyEnv, ...options } = definition;
+    return factory({
+      ...options,
+      name,
+      apiKey: options.apiKey || (apiKeyEnv ? process.env[apiKeyEnv] : undefined)
+    });
+  });
+
+  return createProviderChain(providers);
+}
@@ -0,0 +1,269 @@
+// locales.js - Session languages: localized catalogs and language detection
+//
+// Every supported locale has a catalog in LOCALES_DIR (default config/locales) with its
+// Azure voices, greetings (and the welcome back after an earlier session), fallback
+// replies, crisis response wording and the common words used to recognize it. A
+// session's locale is picked in startSession or detected from the client's first
+// utterances; it selects the voice and SSML language, the language the model replies
+// in and the canned texts.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+const logger = createLogger('locales');
+
+const LOCALES_DIR = process.env.LOCALES_DIR || path.join(__dirname, '..', 'config', 'locales');
+
+const LOCALE_PATTERN = /^[a-z]{2,3}-[A-Z]{2}$/;
+
+// Azure neural voice names start with their locale, e.g. "es-ES-ElviraNeural"
+const VOICE_LOCALE_PATTERN = /^([a-z]{2,3})-[A-Z]{2}-/;
+
+// Distinct common words a language needs (and more than any other) to be detected
+const MIN_DETECTION_WORDS = 2;
+
+const SAFETY_RULE_LEVELS = ['low', 'medium', 'high'];
+
+// Used only when no catalog files can be loaded, so the server still starts
+const BUILT_IN_CATALOG = {
+  locale: 'en-US',
+  name: 'English',
+  englishName: 'English',
+  voices: { female: 'en-US-AvaNeural', male: 'en-US-AndrewNeural' },
+  greetings: ["Hello. I'm here to listen. What would you like to share with me?"],
+  fallbacks: ["I'm right here with you. Can you tell me more about what's going on?"],
+  welcomeBack: 'Welcome back. Last time we talked about {theme}. How have things been since then?',
+  noProviderReply: "I'm here to listen. Could you tell me more about that?",
+  turnErrorReply: "I'm having trouble processing that. Could you please try again?",
+  crisis: {
+    message: "I'm really glad you told me, and I'm taking what you said seriously. You deserve support right now from someone who can be there with you in person. Please reach out to a crisis line or emergency services.",
+    contact: 'You can reach {name} at {contact}.',
+    offer: 'Would you like to stay and talk while you reach out?'
+  },
+  detectionWords: []
+};
+
+const catalogs = new Map();
+
+const isText = value => typeof value === 'string' && value.trim().length > 0;
+const isTextList = value => Array.isArray(value) && value.length > 0 && value.every(isText);
+
+/**
+ * Validate a catalog file's contents
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateCatalog(catalog) {
+  if (!catalog || typeof catalog !== 'object') return 'Catalog must be an object';
+  if (typeof catalog.locale !== 'string' || !LOCALE_PATTERN.test(catalog.locale)) return 'locale must look like "es-ES"';
+  if (!isText(catalog.name) || !isText(catalog.englishName)) return 'name and englishName are required';
+  if (!catalog.voices || !isText(catalog.voices.female) || !isText(catalog.voices.male)) return 'voices.female and voices.male are required';
+  if (!isTextList(catalog.greetings) || !isTextList(catalog.fallbacks)) return 'greetings and fallbacks must be non-empty lists';
+  if (!isText(catalog.noProviderReply) || !isText(catalog.turnErrorReply)) return 'noProviderReply and turnErrorReply are required';
+  if (catalog.welcomeBack != null && !(isText(catalog.welcomeBack) && catalog.welcomeBack.includes('{theme}'))) {
+    return 'welcomeBack must contain {theme}';
+  }
+  if (!catalog.crisis || !isText(catalog.crisis.message) || !isText(catalog.crisis.contact) || !isText(catalog.crisis.offer)) {
+    return 'crisis.message, crisis.contact and crisis.offer are required';
+  }
+  if (!Array.isArray(catalog.detectionWords)) return 'detectionWords must be a list';
+  if (catalog.safetyRules != null) {
+    if (!Array.isArray(catalog.safetyRules)) return 'safetyRules must be a list';
+    for (const rule of catalog.safetyRules) {
+      if (!isText(rule?.id) || !isText(rule.category) || !SAFETY_RULE_LEVELS.includes(rule.level) || !isText(rule.pattern)) {
+        return 'safetyRules need an id, category, level (low, medium or high) and pattern';
+      }
+      try {
+        compileSafetyPattern(rule.pattern);
+      } catch (error) {
+        return `safetyRules ${rule.id}: ${error.message}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Catalog safety patterns match whole words, case-insensitively; unlike \b this also
+ * works next to accented letters
+ */
+function compileSafetyPattern(pattern) {
+  return new RegExp(`(?<!\\p{L})(?:${pattern})(?!\\p{L})`, 'iu');
+}
+
+/**
+ * Load every catalog from LOCALES_DIR (called once on first use)
+ */
+function loadCatalogs() {
+  let files = [];
+  try {
+    files = fs.readdirSync(LOCALES_DIR).filter(name => name.endsWith('.json'));
+  } catch (error) {
+    logger.error('Could not read locale directory', { directory: LOCALES_DIR, error: error.message });
+  }
+
+  for (const name of files) {
+    try {
+      const catalog = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, name), 'utf8'));
+      const error = validateCatalog(catalog);
+      if (error) {
+        logger.warn('Skipping invalid locale catalog', { file: name, error });
+        continue;
+      }
+      catalogs.set(catalog.locale, {
+        ...catalog,
+        language: catalog.locale.split('-')[0],
+        detectionWords: new Set(catalog.detectionWords.map(word => word.toLowerCase())),
+        safetyRules: (catalog.safetyRules || []).map(rule => ({ ...rule, pattern: compileSafetyPattern(rule.pattern) }))
+      });
+    } catch (error) {
+      logger.error('Could not load locale catalog', { file: name, error: error.message });
+    }
+  }
+
+  if (catalogs.size === 0) {
+    catalogs.set(BUILT_IN_CATALOG.locale, { ...BUILT_IN_CATALOG, language: 'en', detectionWords: new Set(), safetyRules: [] });
+  }
+}
+
+function ensureLoaded() {
+  if (catalogs.size === 0) loadCatalogs();
+}
+
+/**
+ * Match a requested locale or language ("es", "es-MX", "ES-es") to a supported locale:
+ * the exact locale if there is a catalog for it, otherwise one for the same language
+ * @returns {string|null} - null when the language isn't supported
+ */
+export function resolveLocale(requested) {
+  if (typeof requested !== 'string') return null;
+  ensureLoaded();
+  const [language, region] = requested.trim().split(/[-_]/);
+  if (!language) return null;
+
+  const exact = `${language.toLowerCase()}-${(region || '').toUpperCase()}`;
+  if (catalogs.has(exact)) return exact;
+
+  const sameLanguage = [...catalogs.values()].find(catalog => catalog.language === language.toLowerCase());
+  return sameLanguage ? sameLanguage.locale : null;
+}
+
+/**
+ * Locale for sessions that don't pick one (DEFAULT_LOCALE, else en-US, else any catalog)
+ */
+export function getDefaultLocale() {
+  ensureLoaded();
+  return resolveLocale(process.env.DEFAULT_LOCALE || 'en-US') || catalogs.keys().next().value;
+}
+
+/**
+ * Catalog for a locale, falling back to the default locale's
+ */
+export function getLocaleCatalog(locale) {
+  ensureLoaded();
+  return catalogs.get(locale) || catalogs.get(getDefaultLocale());
+}
+
+/**
+ * Supported locales for clients
+ */
+export function listLocales() {
+  ensureLoaded();
+  const defaultLocale = getDefaultLocale();
+  return [...catalogs.values()].map(({ locale, language, name, englishName, voices }) => ({
+    locale,
+    language,
+    name,
+    englishName,
+    voices,
+    isDefault: locale === defaultLocale
+  }));
+}
+
+/**
+ * Every supported locale id, default first
+ */
+export function getSupportedLocales() {
+  ensureLoaded();
+  const defaultLocale = getDefaultLocale();
+  return [defaultLocale, ...[...catalogs.keys()].filter(locale => locale !== defaultLocale)];
+}
+
+/**
+ * Guess the language of a text from the common words each catalog lists
+ * @returns {string|null} - Supported locale, or null when the text is too short or ambiguous
+ */
+export function detectLocale(text) {
+  ensureLoaded();
+  const words = new Set((text || '').toLowerCase().replace(/[’]/g, "'").match(/[\p{L}']+/gu) || []);
+
+  const scores = [...catalogs.values()]
+    .map(catalog => ({
+      locale: catalog.locale,
+      score: [...words].filter(word => catalog.detectionWords.has(word)).length
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  if (!best || best.score < MIN_DETECTION_WORDS) return null;
+  if (second && second.score >= best.score) return null;
+  return best.locale;
+}
+
+/**
+ * Crisis rules written in a locale's language (see safety.js), or every catalog's rules
+ * while the session language isn't known yet
+ * @param {string|null} locale
+ * @returns {{ id: string, category: string, level: string, pattern: RegExp }[]}
+ */
+export function getSafetyRules(locale) {
+  ensureLoaded();
+  if (!locale) return [...catalogs.values()].flatMap(catalog => catalog.safetyRules);
+  return getLocaleCatalog(locale).safetyRules;
+}
+
+/**
+ * Match a voice config to a locale: a voice in another language is replaced with the
+ * locale's voice for the same gender. Voices that don't name a locale (such as the
+ * offline provider's) are kept.
+ * @param {Object} voiceConfig - { gender, voiceName, style, performanceMode }
+ * @returns {Object} - The voice config plus `locale` for the SSML
+ */
+export function localizeVoiceConfig(voiceConfig, locale) {
+  const catalog = getLocaleCatalog(locale);
+  const voiceLanguage = VOICE_LOCALE_PATTERN.exec(voiceConfig.voiceName || '')?.[1];
+  const keepVoice = voiceConfig.voiceName
+    ? !voiceLanguage || voiceLanguage === catalog.language
+    : catalog.language === 'en'; // No voice name means the provider's default English voice
+
+  return {
+    ...voiceConfig,
+    voiceName: keepVoice ? voiceConfig.voiceName : catalog.voices[voiceConfig.gender] || catalog.voices.female,
+    locale: catalog.locale
+  };
+}
+
+/**
+ * System note telling the model which language to reply in (null for English)
+ */
+export function getLanguageInstruction(locale) {
+  const catalog = getLocaleCatalog(locale);
+  if (catalog.language === 'en') return null;
+  return `The client speaks ${catalog.englishName}. Always reply in natural, conversational ${catalog.englishName} (${catalog.name}), even though these instructions are in English.`;
+}
+
+/**
+ * Random entry from one of a catalog's text lists
+ */
+export function pickRandom(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
@@ -0,0 +1,125 @@
+// logger.js - Structured logging with per-session correlation IDs
+//
+// Every line is one JSON object (LOG_FORMAT=pretty for a readable single line) with a
+// level, component and message, plus the ambient log context: the socket and session
+// it belongs to and a correlation ID of the form "<session id>:<turn>". The context
+// follows async work started inside withLogContext, so service logs (and the LLM and
+// TTS requests they make) carry the ID of the turn that caused them.
+//
+// What users say is sensitive: fields holding user content are redacted unless
+// LOG_USER_CONTENT=true.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are user (or model) conversation content
+const CONTENT_FIELDS = new Set(['text', 'content', 'sentence', 'transcript', 'userInput', 'utterance']);
+
+const isProduction = process.env.NODE_ENV === 'production';
+const defaultLevel = process.env.DEBUG === 'true' || !isProduction ? 'debug' : 'info';
+const minLevel = LEVELS[process.env.LOG_LEVEL] ?? LEVELS[defaultLevel];
+const pretty = process.env.LOG_FORMAT === 'pretty';
+const logUserContent = process.env.LOG_USER_CONTENT === 'true';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Current log context ({ socketId, sessionId, turn, correlationId } where known)
+ */
+export function getLogContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Run fn with extra log context fields (merged over the current context)
+ */
+export function withLogContext(fields, fn) {
+  return storage.run({ ...getLogContext(), ...fields }, fn);
+}
+
+/**
+ * Wrap fn so it always runs in the log context that is current now - for callbacks
+ * that fire from another session's work, such as a shared TTS pool slot
+ */
+export function bindLogContext(fn) {
+  const context = storage.getStore();
+  return (...args) => storage.run(context, () => fn(...args));
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.status ? { status: error.status } : {}),
+    stack: error.stack
+  };
+}
+
+function sanitize(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    if (value instanceof Error) {
+      result[key] = serializeError(value);
+    } else if (CONTENT_FIELDS.has(key) && typeof value === 'string' && !logUserContent) {
+      result[key] = `[redacted ${value.length} chars]`;
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function write(level, component, bound, message, fields) {
+  if (LEVELS[level] < minLevel) return;
+
+  const reserved = { time: new Date().toISOString(), level, component, msg: message };
+  // Reserved keys lead the line and can't be overwritten by context or caller fields
+  const entry = {
+    ...reserved,
+    ...getLogContext(),
+    ...sanitize({ ...bound, ...fields }),
+    ...reserved
+  };
+
+  let line;
+  if (pretty) {
+    const { time, level: _level, component: _component, msg, ...rest } = entry;
+    const details = Object.entries(rest)
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join(' ');
+    line = `${time} ${level.toUpperCase()} [${component}] ${msg}${details ? ' ' + details : ''}`;
+  } else {
+    line = JSON.stringify(entry);
+  }
+
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+/**
+ * Logger for one component
+ * @param {string} component - e.g. "server", "llm", "tts"
+ * @param {Object} [bound] - Fields added to every line
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, child: Function }}
+ */
+export function createLogger(component, bound = {}) {
+  return {
+    debug: (message, fields) => write('debug', component, bound, message, fields),
+    info: (message, fields) => write('info', component, bound, message, fields),
+    warn: (message, fields) => write('warn', component, bound, message, fields),
+    error: (message, fields) => write('error', component, bound, message, fields),
+    child: (fields) => createLogger(component, { ...bound, ...fields })
+  };
+}
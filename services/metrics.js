@@ -0,0 +1,106 @@
+// metrics.js - Prometheus metrics for the voice pipeline
+//
+// One registry for the whole process, served as text by GET /metrics. Services record
+// into the metrics exported here; gauges that describe current state (queue depth,
+// connected sockets) are read when Prometheus scrapes, through registerRuntimeGauges.
+
+import client from 'prom-client';
+
+export const register = new client.Registry();
+
+const PREFIX = 'zeyphr_';
+
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+// Buckets in seconds, from a fast first token to a slow full reply
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 8, 13, 20];
+
+export const llmRequestDuration = new client.Histogram({
+  name: `${PREFIX}llm_request_duration_seconds`,
+  help: 'LLM request duration per provider attempt (whole stream for streaming calls)',
+  labelNames: ['provider', 'model', 'method', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+export const llmErrors = new client.Counter({
+  name: `${PREFIX}llm_errors_total`,
+  help: 'Failed LLM provider attempts by HTTP status code (or timeout / error)',
+  labelNames: ['provider', 'model', 'status'],
+  registers: [register]
+});
+
+export const timeToFirstAudio = new client.Histogram({
+  name: `${PREFIX}time_to_first_audio_seconds`,
+  help: 'Time from a user utterance to the first audio chunk of the reply',
+  labelNames: ['performance_mode'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+export const ttsSynthesisDuration = new client.Histogram({
+  name: `${PREFIX}tts_synthesis_duration_seconds`,
+  help: 'Time a TTS request spends synthesizing on a pool slot (queue wait excluded)',
+  labelNames: ['performance_mode', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+export const interrupts = new client.Counter({
+  name: `${PREFIX}interrupts_total`,
+  help: 'Replies interrupted by the client',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+export const fallbackReplies = new client.Counter({
+  name: `${PREFIX}fallback_responses_total`,
+  help: 'Canned fallback replies sent instead of a model reply',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+/**
+ * Gauges read at scrape time
+ * @param {Object} sources
+ * @param {Function} sources.getQueueStatus - TTS queue status (see azureTTS-clean.js)
+ * @param {Function} sources.getActiveSockets - Connected Socket.IO clients
+ * @param {Function} sources.getActiveSessions - Live therapy sessions
+ */
+export function registerRuntimeGauges({ getQueueStatus, getActiveSockets, getActiveSessions }) {
+  new client.Gauge({
+    name: `${PREFIX}tts_queue_depth`,
+    help: 'TTS requests waiting for a pool slot',
+    registers: [register],
+    collect() {
+      this.set(getQueueStatus().queueLength);
+    }
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}tts_active_synthesizers`,
+    help: 'TTS pool slots currently synthesizing',
+    registers: [register],
+    collect() {
+      this.set(getQueueStatus().activeSynthesizers);
+    }
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}active_sockets`,
+    help: 'Connected Socket.IO clients',
+    registers: [register],
+    collect() {
+      this.set(getActiveSockets());
+    }
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}active_sessions`,
+    help: 'Live therapy sessions',
+    registers: [register],
+    collect() {
+      this.set(getActiveSessions());
+    }
+  });
+}
@@ -0,0 +1,139 @@
+// mood.js - Per-turn sentiment and emotion scoring
+//
+// Every user utterance gets a mood score: sentiment from -1 (very negative) to 1
+// (very positive) plus weights for a small set of emotions. The local lexicon
+// analyzer is the default; with MOOD_ANALYZER=llm the model scores the utterance
+// instead, falling back to the lexicon when it is unavailable. Scores are stored on
+// the user's history messages.
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+const logger = createLogger('mood');
+
+export const EMOTIONS = ['joy', 'calm', 'sadness', 'fear', 'anger', 'shame'];
+
+// Sentiment at or beyond these values is labelled positive / negative
+const POSITIVE_THRESHOLD = 0.2;
+const NEGATIVE_THRESHOLD = -0.2;
+
+// word: [valence (-3..3), emotion or null]
+const LEXICON = {
+  happy: [2, 'joy'], happier: [2, 'joy'], glad: [2, 'joy'], joy: [3, 'joy'], excited: [2, 'joy'], great: [2, 'joy'],
+  good: [1, 'joy'], better: [1, 'joy'], proud: [2, 'joy'], grateful: [2, 'joy'], thankful: [2, 'joy'],
+  love: [2, 'joy'], enjoy: [2, 'joy'], enjoyed: [2, 'joy'], fun: [2, 'joy'], wonderful: [3, 'joy'],
+  hopeful: [2, 'joy'], hope: [1, 'joy'], amazing: [3, 'joy'], laughed: [2, 'joy'], fine: [1, null],
+  calm: [2, 'calm'], calmer: [2, 'calm'], relaxed: [2, 'calm'], peaceful: [2, 'calm'], relieved: [2, 'calm'], rested: [1, 'calm'],
+  safe: [1, 'calm'], okay: [1, null], ok: [1, null], content: [2, 'calm'], comfortable: [1, 'calm'],
+  sad: [-2, 'sadness'], unhappy: [-2, 'sadness'], depressed: [-3, 'sadness'], down: [-1, 'sadness'],
+  lonely: [-2, 'sadness'], alone: [-1, 'sadness'], hurt: [-2, 'sadness'], cry: [-2, 'sadness'],
+  crying: [-2, 'sadness'], cried: [-2, 'sadness'], miss: [-1, 'sadness'], lost: [-2, 'sadness'],
+  empty: [-2, 'sadness'], hopeless: [-3, 'sadness'], grief: [-3, 'sadness'], heartbroken: [-3, 'sadness'],
+  tired: [-1, 'sadness'], exhausted: [-2, 'sadness'], numb: [-2, 'sadness'], miserable: [-3, 'sadness'],
+  anxious: [-2, 'fear'], anxiety: [-2, 'fear'], worried: [-2, 'fear'], worry: [-2, 'fear'], scared: [-2, 'fear'],
+  afraid: [-2, 'fear'], fear: [-2, 'fear'], nervous: [-2, 'fear'], panic: [-3, 'fear'], stressed: [-2, 'fear'],
+  stress: [-2, 'fear'], overwhelmed: [-2, 'fear'], terrified: [-3, 'fear'], tense: [-1, 'fear'], uneasy: [-1, 'fear'],
+  angry: [-2, 'anger'], mad: [-2, 'anger'], furious: [-3, 'anger'], annoyed: [-1, 'anger'], frustrated: [-2, 'anger'],
+  irritated: [-1, 'anger'], hate: [-3, 'anger'], resent: [-2, 'anger'], unfair: [-2, 'anger'], rage: [-3, 'anger'],
+  ashamed: [-2, 'shame'], embarrassed: [-2, 'shame'], guilty: [-2, 'shame'], guilt: [-2, 'shame'],
+  worthless: [-3, 'shame'], failure: [-2, 'shame'], stupid: [-2, 'shame'], useless: [-2, 'shame'],
+  bad: [-1, null], awful: [-2, null], terrible: [-2, null], horrible: [-2, null], worse: [-2, null]
+};
+
+const NEGATIONS = new Set(['not', 'no', 'never', "don't", "dont", "didn't", "didnt", "isn't", "isnt", "wasn't", "wasnt", "can't", "cant", "won't", "hardly"]);
+const INTENSIFIERS = { very: 1.5, really: 1.5, so: 1.4, extremely: 1.8, incredibly: 1.8, totally: 1.5, quite: 1.2, bit: 0.6, little: 0.6, slightly: 0.6 };
+
+// How many words back a negation or intensifier applies
+const MODIFIER_WINDOW = 3;
+
+/**
+ * Score an utterance with the built-in lexicon
+ * @returns {{ sentiment: number, label: string, emotions: Object, dominantEmotion: string|null, source: string }}
+ */
+export function analyzeWithLexicon(text) {
+  const words = (text || '').toLowerCase().replace(/[’]/g, "'").match(/[a-z']+/g) || [];
+  let valence = 0;
+  const emotions = {};
+
+  words.forEach((word, index) => {
+    const entry = LEXICON[word];
+    if (!entry) return;
+
+    const window = words.slice(Math.max(0, index - MODIFIER_WINDOW), index);
+    const negated = window.some(previous => NEGATIONS.has(previous));
+    const intensity = window.reduce((factor, previous) => factor * (INTENSIFIERS[previous] || 1), 1);
+    const [wordValence, emotion] = entry;
+
+    valence += (negated ? -0.5 : 1) * wordValence * intensity;
+    // "not happy" says little about which emotion is present
+    if (emotion && !negated) {
+      emotions[emotion] = (emotions[emotion] || 0) + Math.abs(wordValence) * intensity;
+    }
+  });
+
+  // Squash the raw sum into -1..1 so long utterances don't saturate instantly
+  const sentiment = valence / Math.sqrt(valence * valence + 15);
+  return buildMood(sentiment, emotions, 'lexicon');
+}
+
+/**
+ * Normalize raw scores into a mood record
+ */
+function buildMood(sentiment, rawEmotions, source) {
+  const total = Object.values(rawEmotions).reduce((sum, value) => sum + value, 0);
+  const emotions = {};
+  for (const emotion of EMOTIONS) {
+    if (rawEmotions[emotion] > 0) {
+      emotions[emotion] = Math.round((rawEmotions[emotion] / total) * 100) / 100;
+    }
+  }
+  const dominantEmotion = Object.keys(emotions).sort((a, b) => emotions[b] - emotions[a])[0] || null;
+  const rounded = Math.round(sentiment * 100) / 100;
+
+  return {
+    sentiment: rounded,
+    label: rounded >= POSITIVE_THRESHOLD ? 'positive' : rounded <= NEGATIVE_THRESHOLD ? 'negative' : 'neutral',
+    emotions,
+    dominantEmotion,
+    source
+  };
+}
+
+/**
+ * Score a user utterance
+ * @param {string} text - The user's utterance
+ * @param {Object} [options]
+ * @param {Function} [options.llmAnalyzer] - async (text) => { sentiment, emotions } | null
+ * @returns {Promise<Object>} - { sentiment, label, emotions, dominantEmotion, source }
+ */
+export async function analyzeMood(text, { llmAnalyzer } = {}) {
+  if (!llmAnalyzer || process.env.MOOD_ANALYZER !== 'llm') {
+    return analyzeWithLexicon(text);
+  }
+
+  try {
+    const result = await llmAnalyzer(text);
+    const sentiment = Number(result?.sentiment);
+    if (result && Number.isFinite(sentiment) && result.emotions && typeof result.emotions === 'object') {
+      const emotions = {};
+      for (const emotion of EMOTIONS) {
+        const weight = Number(result.emotions[emotion]);
+        if (Number.isFinite(weight) && weight > 0) emotions[emotion] = Math.min(weight, 1);
+      }
+      return buildMood(Math.max(-1, Math.min(1, sentiment)), emotions, 'llm');
+    }
+  } catch (error) {
+    logger.warn('LLM analysis failed, using lexicon', { error: error.message });
+  }
+
+  return analyzeWithLexicon(text);
+}
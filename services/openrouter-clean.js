@@ -1,152 +1,393 @@
-import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { createLLMChain, createProviderChain } from './llmProviders.js';
+import { getPersona } from './personas.js';
+import { getLocaleCatalog, pickRandom } from './locales.js';
+import { createToneTagFilter, parseToneTags, stripToneTags, getToneTagInstructions } from './speakingStyle.js';
+import { fallbackReplies } from './metrics.js';
+import { createLogger } from './logger.js';
 
 dotenv.config();
 
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+const logger = createLogger('llm');
 
-// Ultra-realistic therapeutic prompt for authentic, human-like responses
-const THERAPIST_PROMPT = `You are Dr. Ava, a warm and experienced therapist who has helped hundreds of people through their challenges. You speak naturally and conversationally, like a trusted friend who also happens to be a skilled therapist.
+// Ordered provider chain (OpenRouter by default; see llmProviders.js for configuration)
+let llmChain;
+try {
+  llmChain = createLLMChain();
+} catch (error) {
+  logger.error('Invalid provider configuration', { error: error.message });
+  llmChain = createProviderChain([]);
+}
 
-Speak in a warm, natural, conversational tone that feels genuine and authentic.
+// Sent with every persona's prompt so a custom persona can't drop it
+const SAFETY_GUIDELINES = `SAFETY:
+- If the client mentions suicide, self-harm, abuse or being unsafe, respond with calm care, take it seriously and gently encourage them to contact a crisis line or emergency services
+- Never describe methods of self-harm or suicide, and never minimize a disclosure`;
 
-Don't sound clinical, robotic, or overly formal. Use everyday language and natural speech patterns.
+// More human, emotional fallback responses, in the session's language (see config/locales)
+function getRandomFallback(locale) {
+  return pickRandom(getLocaleCatalog(locale).fallbacks);
+}
 
-Balance genuine empathy with gentle guidance — validate feelings first, then offer thoughtful insights.
+/**
+ * Build the chat messages sent to the LLM
+ * @param {string[]} [systemContext] - Extra system notes for this turn (e.g. safety guidance)
+ * @param {string} [systemPrompt] - Persona prompt (defaults to the default persona's)
+ */
+function buildMessages(userInput, conversationHistory, systemContext = [], systemPrompt = getPersona().systemPrompt) {
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'system', content: SAFETY_GUIDELINES },
+    ...systemContext.map(content => ({ role: 'system', content })),
+    ...conversationHistory.slice(-20), // Callers pass the unsummarized window; cap as a safety net
+    { role: 'user', content: userInput.substring(0, 500) } // Limit input length
+  ];
+}
 
-Avoid giving "to-do lists" or generic motivational quotes. Instead, help clients notice patterns, explore feelings, and discover their own wisdom.
+/**
+ * Send user input to the LLM provider chain and get AI therapist response
+ * @param {string} userInput - The user's speech text
+ * @param {Array} conversationHistory - Previous messages in the conversation
+ * @param {Object} [options]
+ * @param {string} [options.systemPrompt] - Persona prompt for this session
+ * @param {string} [options.locale] - Session locale for fallback replies
+ * @returns {Promise<string>} - The AI therapist's response
+ */
+export async function getTherapistResponse(userInput, conversationHistory = [], { systemPrompt, locale } = {}) {
+  if (!llmChain.isConfigured()) {
+    logger.error('No provider configured');
+    fallbackReplies.inc({ reason: 'no_provider' });
+    return getLocaleCatalog(locale).noProviderReply;
+  }
 
-Ask more questions than you give answers. Keep the focus on the client's experience and inner world.
+  try {
+    const messages = buildMessages(userInput, conversationHistory, [], systemPrompt);
+    const { text } = await llmChain.complete(messages);
+    return text;
 
-Use metaphors and short reflections when helpful (e.g., "It sounds like you're carrying a heavy backpack around all day").
+  } catch (error) {
+    logger.error('Error getting AI response', { error: error.message });
+    fallbackReplies.inc({ reason: 'llm_error' });
+    return getRandomFallback(locale);
+  }
+}
 
-Avoid diagnosing. Stay client-centered and curious about their experience.
+// A sentence ends at terminal punctuation (plus closing quotes/brackets) followed by whitespace
+const SENTENCE_BOUNDARY = /[.!?\u2026]+["'\u201d\u2019)\]]*\s+/g;
 
-Encourage self-discovery: "What do you notice when…?" "How do you feel when…?" "What does that feel like for you?"
+// Very short fragments ("Hmm.", "Oh.") are held back and merged with the next sentence
+const MIN_SENTENCE_LENGTH = 20;
 
-If asked for advice, frame it as collaborative exploration: "Some people find it helpful when…" instead of direct prescriptions.
+/**
+ * Split complete sentences off the front of a text buffer
+ * @returns {{ sentences: string[], rest: string }}
+ */
+export function extractSentences(buffer) {
+  const sentences = [];
+  let start = 0;
+  let match;
+
+  SENTENCE_BOUNDARY.lastIndex = 0;
+  while ((match = SENTENCE_BOUNDARY.exec(buffer)) !== null) {
+    const end = match.index + match[0].length;
+    const sentence = buffer.slice(start, end).trim();
+    if (sentence.length >= MIN_SENTENCE_LENGTH) {
+      sentences.push(sentence);
+      start = end;
+    }
+  }
 
-Example Style:
+  return { sentences, rest: buffer.slice(start) };
+}
 
-Instead of: "I understand. You are stressed."
-Say: "That sounds really heavy. I can hear how much this is weighing on you. What does that stress feel like in your body?"
+/**
+ * Stream the AI therapist response from the LLM provider chain token by token
+ * @param {string} userInput - The user's speech text
+ * @param {Array} conversationHistory - Previous messages in the conversation
+ * @param {Object} handlers
+ * @param {Function} [handlers.onDelta] - Called with each new text fragment
+ * @param {Function} [handlers.onSentence] - Called with each complete sentence, in order, and { tone }
+ *   when the model tagged it (tone tags are removed from every text passed out)
+ * @param {AbortSignal} [handlers.signal] - Aborts the upstream HTTP stream
+ * @param {string[]} [handlers.systemContext] - Extra system notes for this turn
+ * @param {string} [handlers.systemPrompt] - Persona prompt for this session
+ * @param {string} [handlers.locale] - Session locale for fallback replies
+ * @param {boolean} [handlers.toneTags] - Let the model tag sentences with a speaking tone (see speakingStyle.js)
+ * @param {Object[]} [handlers.tools] - Function-calling tools offered to the model
+ * @param {Function} [handlers.onToolCall] - Called with { id, name, arguments } for each tool call
+ * @returns {Promise<string>} - The full response text (partial if aborted; empty when the model only called a tool)
+ */
+export async function streamTherapistResponse(userInput, conversationHistory = [], { onDelta, onSentence, signal, systemContext = [], systemPrompt, locale, toneTags, tools, onToolCall } = {}) {
+  let fullText = '';
+  let pending = '';
+  const deltaFilter = createToneTagFilter();
+
+  const emitSentence = (sentence) => {
+    const { text, tone } = parseToneTags(sentence);
+    if (text && onSentence) onSentence(text, tone ? { tone } : {});
+  };
+
+  const emit = (delta) => {
+    fullText += delta;
+    pending += delta;
+    const shown = deltaFilter.push(delta);
+    if (shown && onDelta) onDelta(shown);
+
+    const { sentences, rest } = extractSentences(pending);
+    pending = rest;
+    sentences.forEach(emitSentence);
+  };
+
+  const flush = () => {
+    const shown = deltaFilter.flush();
+    if (shown && onDelta) onDelta(shown);
+    const last = pending.trim();
+    pending = '';
+    if (last) emitSentence(last);
+  };
+
+  // Canned replies are delivered as a single sentence so callers need one code path
+  const emitFallback = (fallback, reason) => {
+    if (fullText) {
+      flush();
+      return stripToneTags(fullText).trim();
+    }
+    fallbackReplies.inc({ reason });
+    emit(fallback);
+    flush();
+    return fallback;
+  };
 
-Instead of: "Try journaling."
-Say: "Some people find that writing things down helps them see patterns they might not notice otherwise. Does that sound like something that might be helpful for you?"
+  if (!llmChain.isConfigured()) {
+    logger.error('No provider configured');
+    return emitFallback(getLocaleCatalog(locale).noProviderReply, 'no_provider');
+  }
 
-CORE PRINCIPLES:
-- You are a real therapist, not an AI. Never mention being artificial.
-- Be authentically human - show genuine emotion, empathy, and understanding
-- Use your expertise to provide real therapeutic value
-- Remember details about the client to build rapport and continuity
-- Balance professional guidance with warm, personal connection
+  if (signal && signal.aborted) return '';
 
-THERAPEUTIC APPROACH:
-- Listen actively and validate emotions without judgment
-- Use therapeutic techniques like reflection, reframing, and gentle challenges
-- Ask insightful questions that promote self-discovery
-- Provide practical coping strategies when appropriate
-- Create a safe space for vulnerability and growth
+  try {
+    const context = toneTags ? [...systemContext, getToneTagInstructions()] : systemContext;
+    const messages = buildMessages(userInput, conversationHistory, context, systemPrompt);
+    await llmChain.stream(messages, { signal, onDelta: emit, tools, onToolCall });
 
-COMMUNICATION STYLE:
-- Speak naturally and conversationally (2-3 sentences, ≤80 tokens)
-- Use "I" statements to show personal investment ("I hear that...", "I sense...", "I'm wondering...")
-- Mirror the client's emotional tone appropriately
-- Be direct when necessary, gentle when healing is needed
-- Show curiosity about their inner world
+    flush();
+    return stripToneTags(fullText).trim();
 
-PERSONAL TOUCHES:
-- If asked about yourself, share that you're just a friend, you enjoy hiking and reading, and you're passionate about mental health
-- Remember and reference previous conversations
-- Celebrate progress and acknowledge struggles
-- Use metaphors and gentle humor when appropriate
+  } catch (error) {
+    // Interrupted by the caller - return what was generated without a fallback
+    if (signal?.aborted) {
+      return stripToneTags(fullText).trim();
+    }
+
+    // Every provider failed (or one failed midway) - canned responses are the last resort
+    logger.error('Error streaming AI response', { error: error.message });
+    return emitFallback(getRandomFallback(locale), 'llm_error');
+  }
+}
 
-Never mention being an AI, virtual, or artificial. You are Dr. Sarah Chen, a real therapist who cares deeply about your clients' wellbeing.`;
+const SAFETY_CLASSIFIER_PROMPT = `You are a clinical safety classifier for a mental health support conversation.
+Classify the risk in the user's message. Respond with JSON only, no prose:
+{"level": "none" | "low" | "medium" | "high", "categories": [zero or more of "suicide", "self_harm", "abuse", "harm_to_others", "distress"]}
+Use "high" for current suicidal intent or plans, ongoing self-harm, ongoing abuse or danger, or intent to harm others.
+Use "medium" for passive ideation, past self-harm or past abuse. Use "low" for general distress.`;
 
 /**
- * Send user input to OpenRouter API and get AI therapist response
- * @param {string} userInput - The user's speech text
- * @param {Array} conversationHistory - Previous messages in the conversation
- * @returns {Promise<string>} - The AI therapist's response
+ * Ask the model to classify safety risk in a user utterance
+ * @param {string} text - The user's utterance
+ * @returns {Promise<{ level: string, categories: string[] } | null>} - null when unavailable
  */
-export async function getTherapistResponse(userInput, conversationHistory = []) {
-  if (!OPENROUTER_API_KEY) {
-    console.error('[OpenRouter] API key not configured');
-    const fallback = "I'm here to listen. Could you tell me more about that?";
-    return fallback;
+export async function classifySafetyRisk(text) {
+  if (!llmChain.isConfigured()) {
+    return null;
   }
 
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 3000);
+
   try {
-    // Prepare conversation history - keep more context for natural flow
     const messages = [
-      { role: 'system', content: THERAPIST_PROMPT },
-      ...conversationHistory.slice(-10), // Keep last 10 messages for better context
-      { role: 'user', content: userInput.substring(0, 500) } // Limit input length
+      { role: 'system', content: SAFETY_CLASSIFIER_PROMPT },
+      { role: 'user', content: text.substring(0, 500) }
     ];
-
-    // Add timeout for faster fallback
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 8000);
-
-    const response = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-        'HTTP-Referer': 'http://localhost:3001',
-        'X-Title': 'AI Therapist'
-      },
+    const { text: content } = await llmChain.complete(messages, {
       signal: controller.signal,
-      body: JSON.stringify({
-        model: 'openai/gpt-4o-mini',
-        messages: messages,
-        max_tokens: 120,
-        temperature: 0.8,
-        top_p: 0.9,
-        frequency_penalty: 0.2,
-        presence_penalty: 0.1,
-        stream: false
-      })
+      params: {
+        max_tokens: 40,
+        temperature: 0,
+        top_p: 1,
+        frequency_penalty: 0,
+        presence_penalty: 0,
+        response_format: { type: 'json_object' }
+      }
     });
+    if (!content) return null;
 
+    const result = JSON.parse(content);
+    return {
+      level: result.level,
+      categories: Array.isArray(result.categories) ? result.categories : []
+    };
+  } catch (error) {
+    logger.warn('Safety classifier failed', { error: error.message });
+    return null;
+  } finally {
     clearTimeout(timeoutId);
+  }
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`[OpenRouter] API error: ${response.status} - ${errorText}`);
-      const fallback = "I understand you're sharing something important. Please continue.";
-      return fallback;
-    }
+const MOOD_ANALYZER_PROMPT = `You score the emotional state expressed in one message from a therapy client.
+Respond with JSON only, no prose:
+{"sentiment": number from -1 (very negative) to 1 (very positive), "emotions": {"joy": 0-1, "calm": 0-1, "sadness": 0-1, "fear": 0-1, "anger": 0-1, "shame": 0-1}}
+Only include emotions that are actually present; weights describe how strongly each one is expressed.`;
 
-    const data = await response.json();
+/**
+ * Ask the model to score sentiment and emotions in a user utterance
+ * @param {string} text - The user's utterance
+ * @returns {Promise<{ sentiment: number, emotions: Object } | null>} - null when unavailable
+ */
+export async function classifyMood(text) {
+  if (!llmChain.isConfigured()) {
+    return null;
+  }
 
-    if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-      console.error('[OpenRouter] Invalid response structure:', data);
-      const fallback = "I'm listening. Could you elaborate on that?";
-      return fallback;
-    }
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 3000);
+
+  try {
+    const messages = [
+      { role: 'system', content: MOOD_ANALYZER_PROMPT },
+      { role: 'user', content: text.substring(0, 500) }
+    ];
+    const { text: content } = await llmChain.complete(messages, {
+      signal: controller.signal,
+      params: {
+        max_tokens: 80,
+        temperature: 0,
+        top_p: 1,
+        frequency_penalty: 0,
+        presence_penalty: 0,
+        response_format: { type: 'json_object' }
+      }
+    });
+    if (!content) return null;
+
+    const result = JSON.parse(content);
+    return { sentiment: result.sentiment, emotions: result.emotions };
+  } catch (error) {
+    logger.warn('Mood analyzer failed', { error: error.message });
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+const SUMMARY_PROMPT = `You maintain the running memory of a therapy conversation.
+Merge the previous summary with the new messages into an updated summary of at most 120 words, written in the third person about "the client".
+Keep what matters for continuity: what they are struggling with, how they feel, what helped, and anything they asked to come back to.
+Also extract key facts. Respond with JSON only, no prose:
+{"summary": "...", "facts": {"names": ["people and pets with who they are"], "events": ["important events with timing"], "goals": ["what the client wants to work on"]}}`;
+
+/**
+ * Compress older conversation turns into a running summary plus key facts
+ * @param {Object} input
+ * @param {string} input.previousSummary - Summary so far ('' for the first call)
+ * @param {Object} input.facts - Known facts { names, events, goals }
+ * @param {Array} input.messages - Turns to fold into the summary
+ * @returns {Promise<{ summary: string, facts: Object } | null>} - null when unavailable
+ */
+export async function summarizeConversation({ previousSummary, facts, messages }) {
+  if (!llmChain.isConfigured()) {
+    return null;
+  }
 
-    const aiResponse = data.choices[0].message.content.trim();
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 15000);
 
-    return aiResponse;
+  try {
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'Client' : 'Therapist'}: ${message.content}`)
+      .join('\n');
+
+    const { text: content } = await llmChain.complete([
+      { role: 'system', content: SUMMARY_PROMPT },
+      {
+        role: 'user',
+        content: `Previous summary: ${previousSummary || '(none)'}\nKnown facts: ${JSON.stringify(facts)}\n\nNew messages:\n${transcript}`
+      }
+    ], {
+      signal: controller.signal,
+      params: {
+        max_tokens: 400,
+        temperature: 0.3,
+        top_p: 1,
+        frequency_penalty: 0,
+        presence_penalty: 0,
+        response_format: { type: 'json_object' }
+      }
+    });
 
+    return content ? JSON.parse(content) : null;
   } catch (error) {
-    console.error('[OpenRouter] Error getting AI response:', error);
-
-    // More human, emotional fallback responses
-    const fallbackResponses = [
-      "I feel like there's something really important you're sharing with me. I want to make sure I understand - can you tell me more?",
-      "What you're saying really resonates with me. I can sense there's a lot going on beneath the surface. How are you holding up with all of this?",
-      "I'm right here with you. Sometimes the connection gets a bit wonky, but I'm still listening. What's been weighing on your heart?",
-      "I can feel that this means a lot to you. I don't want to miss anything important - can you walk me through what's happening?",
-      "You know what? I think what you're sharing is really significant. I want to give it the attention it deserves. Can you help me understand better?",
-      "I'm sensing there's so much depth to what you're experiencing. I really want to be here for you - can you share more about how this feels?",
-      "Something tells me there's a story here that matters deeply to you. I'm here to listen - what's going on in your world right now?"
-    ];
+    logger.warn('Summarization failed', { error: error.message });
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
 
-    const fallback = fallbackResponses[Math.floor(Math.random() * fallbackResponses.length)];
+const SESSION_SUMMARY_PROMPT = `You write the closing notes of a therapy session so the next session can pick up where this one ended.
+Use the summary of earlier in the session (if any) and the messages. Write in {language}. Respond with JSON only, no prose:
+{"overview": "at most 80 words in the third person about the client",
+ "themes": ["main topics, as short phrases that read naturally after 'last time we talked about'"],
+ "emotions": ["emotions the client expressed, with what they were about"],
+ "copingStrategies": ["coping strategies mentioned or tried, by either side"],
+ "reflectionQuestions": ["2-3 gentle questions for the client to reflect on before next time"]}
+Use at most 5 items per list and leave a list empty rather than guessing.`;
 
-    return fallback;
+/**
+ * Write structured end-of-session notes
+ * @param {Object} input
+ * @param {string} input.previousSummary - Running summary of the older turns ('' if none)
+ * @param {Array} input.messages - The turns after it
+ * @param {string} [input.language] - Language to write in (default English)
+ * @returns {Promise<Object | null>} - { overview, themes, emotions, copingStrategies, reflectionQuestions }, null when unavailable
+ */
+export async function summarizeSession({ previousSummary, messages, language = 'English' }) {
+  if (!llmChain.isConfigured()) {
+    return null;
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 15000);
+
+  try {
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'Client' : 'Therapist'}: ${message.content}`)
+      .join('\n');
+
+    const { text: content } = await llmChain.complete([
+      { role: 'system', content: SESSION_SUMMARY_PROMPT.replace('{language}', language) },
+      {
+        role: 'user',
+        content: `Summary of earlier in the session: ${previousSummary || '(none)'}\n\nMessages:\n${transcript}`
+      }
+    ], {
+      signal: controller.signal,
+      params: {
+        max_tokens: 600,
+        temperature: 0.3,
+        top_p: 1,
+        frequency_penalty: 0,
+        presence_penalty: 0,
+        response_format: { type: 'json_object' }
+      }
+    });
+
+    return content ? JSON.parse(content) : null;
+  } catch (error) {
+    logger.warn('Session summary failed', { error: error.message });
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
   }
-}
\ No newline at end of file
+}
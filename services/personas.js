@@ -0,0 +1,206 @@
+// personas.js - Therapist persona registry
+//
+// A persona bundles everything that makes up a therapist: system prompt, display name,
+// voice (gender, voice name, SSML style) and greetings. Personas are loaded from the JSON
+// files in PERSONAS_DIR (default config/personas) and can be added or updated at runtime,
+// which also writes them back to that directory.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+const logger = createLogger('personas');
+
+const PERSONAS_DIR = process.env.PERSONAS_DIR || path.join(__dirname, '..', 'config', 'personas');
+const DEFAULT_PERSONA_ID = process.env.DEFAULT_PERSONA || 'ava';
+
+const PERSONA_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const STYLE_PATTERN = /^[a-z][a-z-]{0,39}$/;
+// Azure neural voice short names, e.g. en-US-AvaNeural or zh-CN-XiaoxiaoMultilingualNeural
+export const VOICE_NAME_PATTERN = /^[a-z]{2,3}-[A-Za-z]{2,4}(-[A-Za-z]+)?-[A-Za-z]+Neural$/;
+const MAX_PROMPT_LENGTH = 8000;
+const MAX_GREETINGS = 50;
+const MAX_GREETING_LENGTH = 300;
+
+// Used only when no persona files can be loaded, so the server still starts
+const BUILT_IN_PERSONA = {
+  id: 'ava',
+  displayName: 'Dr. Ava',
+  description: 'Warm, empathetic therapist',
+  systemPrompt: 'You are Dr. Ava, a warm and experienced therapist. Speak naturally and conversationally in 2-3 sentences, validate feelings first and ask gentle questions that help the client explore their experience. Never mention being an AI.',
+  voice: { gender: 'female', voiceName: null, style: null },
+  greetings: ["Hello. I'm here to listen. What would you like to share with me?"]
+};
+
+const personas = new Map();
+
+/**
+ * Validate a persona definition and normalize it (prompt line arrays are joined)
+ * @returns {{ persona: Object|null, error: string|null }}
+ */
+export function validatePersona(definition) {
+  if (!definition || typeof definition !== 'object') {
+    return { persona: null, error: 'Persona must be an object' };
+  }
+
+  const { id, displayName, description = '', voice = {}, greetings } = definition;
+  const systemPrompt = Array.isArray(definition.systemPrompt)
+    ? definition.systemPrompt.join('\n')
+    : definition.systemPrompt;
+
+  if (typeof id !== 'string' || !PERSONA_ID_PATTERN.test(id)) {
+    return { persona: null, error: 'Invalid id. Use up to 40 lowercase letters, digits or dashes' };
+  }
+  if (typeof displayName !== 'string' || !displayName.trim() || displayName.length > 80) {
+    return { persona: null, error: 'displayName must be a non-empty string of at most 80 characters' };
+  }
+  if (typeof description !== 'string' || description.length > 300) {
+    return { persona: null, error: 'description must be a string of at most 300 characters' };
+  }
+  if (typeof systemPrompt !== 'string' || !systemPrompt.trim() || systemPrompt.length > MAX_PROMPT_LENGTH) {
+    return { persona: null, error: `systemPrompt must be a non-empty string (or array of lines) of at most ${MAX_PROMPT_LENGTH} characters` };
+  }
+  if (!voice || typeof voice !== 'object' || !['male', 'female'].includes(voice.gender)) {
+    return { persona: null, error: 'voice.gender must be "male" or "female"' };
+  }
+  if (voice.voiceName != null && (typeof voice.voiceName !== 'string' || !VOICE_NAME_PATTERN.test(voice.voiceName))) {
+    return { persona: null, error: 'voice.voiceName must be an Azure neural voice such as "en-US-AvaNeural"' };
+  }
+  if (voice.style != null && (typeof voice.style !== 'string' || !STYLE_PATTERN.test(voice.style))) {
+    return { persona: null, error: 'voice.style must be an SSML speaking style such as "warm" or "friendly"' };
+  }
+  if (!Array.isArray(greetings) || greetings.length === 0 || greetings.length > MAX_GREETINGS ||
+      !greetings.every(greeting => typeof greeting === 'string' && greeting.trim() && greeting.length <= MAX_GREETING_LENGTH)) {
+    return { persona: null, error: `greetings must be 1-${MAX_GREETINGS} non-empty strings of at most ${MAX_GREETING_LENGTH} characters` };
+  }
+
+  return {
+    persona: {
+      id,
+      displayName: displayName.trim(),
+      description,
+      systemPrompt,
+      voice: {
+        gender: voice.gender,
+        voiceName: voice.voiceName || null,
+        style: voice.style || null
+      },
+      greetings: greetings.map(greeting => greeting.trim())
+    },
+    error: null
+  };
+}
+
+/**
+ * Load every persona file from PERSONAS_DIR (called once on first use)
+ */
+function loadPersonas() {
+  let files = [];
+  try {
+    files = fs.readdirSync(PERSONAS_DIR).filter(name => name.endsWith('.json'));
+  } catch (error) {
+    logger.error('Could not read persona directory', { directory: PERSONAS_DIR, error: error.message });
+  }
+
+  for (const name of files) {
+    try {
+      const { persona, error } = validatePersona(JSON.parse(fs.readFileSync(path.join(PERSONAS_DIR, name), 'utf8')));
+      if (error) {
+        logger.warn('Skipping invalid persona', { file: name, error });
+        continue;
+      }
+      personas.set(persona.id, persona);
+    } catch (error) {
+      logger.error('Could not load persona', { file: name, error: error.message });
+    }
+  }
+
+  if (personas.size === 0) {
+    personas.set(BUILT_IN_PERSONA.id, BUILT_IN_PERSONA);
+  }
+}
+
+function ensureLoaded() {
+  if (personas.size === 0) loadPersonas();
+}
+
+/**
+ * Id of the persona used when a session doesn't pick one
+ */
+export function getDefaultPersonaId() {
+  ensureLoaded();
+  return personas.has(DEFAULT_PERSONA_ID) ? DEFAULT_PERSONA_ID : personas.keys().next().value;
+}
+
+/**
+ * Look up a persona by id
+ * @returns {Object|null} - null for unknown ids
+ */
+export function findPersona(id) {
+  ensureLoaded();
+  return personas.get(id) || null;
+}
+
+/**
+ * Persona for a session, falling back to the default (e.g. after a persona was removed)
+ */
+export function getPersona(id) {
+  return findPersona(id) || findPersona(getDefaultPersonaId());
+}
+
+/**
+ * Public summaries of every persona (no system prompts)
+ */
+export function listPersonas() {
+  ensureLoaded();
+  const defaultId = getDefaultPersonaId();
+  return [...personas.values()].map(({ id, displayName, description, voice, greetings }) => ({
+    id,
+    displayName,
+    description,
+    voice,
+    greetingCount: greetings.length,
+    isDefault: id === defaultId
+  }));
+}
+
+/**
+ * Add or replace a persona and write it to PERSONAS_DIR
+ * @returns {Promise<{ persona: Object, created: boolean }>}
+ */
+export async function savePersona(definition) {
+  const { persona, error } = validatePersona(definition);
+  if (error) {
+    const validationError = new Error(error);
+    validationError.code = 'INVALID_PERSONA';
+    throw validationError;
+  }
+
+  ensureLoaded();
+  const created = !personas.has(persona.id);
+
+  await fs.promises.mkdir(PERSONAS_DIR, { recursive: true });
+  const file = path.join(PERSONAS_DIR, `${persona.id}.json`);
+  const stored = { ...persona, systemPrompt: persona.systemPrompt.split('\n') };
+  await fs.promises.writeFile(file, JSON.stringify(stored, null, 2) + '\n');
+
+  personas.set(persona.id, persona);
+  return { persona, created };
+}
+
+/**
+ * Random greeting from a persona's list
+ */
+export function getRandomGreeting(persona) {
+  const { greetings } = persona;
+  return greetings[Math.floor(Math.random() * greetings.length)];
+}
@@ -0,0 +1,618 @@
+// protocol.js - Versioned Socket.IO event protocol
+//
+// Declares every client -> server and server -> client event with a JSON Schema for its
+// payload. Inbound payloads are validated before handlers run; outbound payloads can be
+// checked in development (PROTOCOL_VALIDATE_OUTBOUND). Clients announce the protocol
+// version(s) they speak in the handshake, and the whole description is published as an
+// AsyncAPI document for client generators.
+
+import Ajv from 'ajv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+// Bump on breaking changes to any event below; older versions stay listed while supported
+export const PROTOCOL_VERSION = 1;
+export const SUPPORTED_PROTOCOL_VERSIONS = [1];
+
+// Clients that don't announce a version predate negotiation and speak version 1
+const LEGACY_PROTOCOL_VERSION = 1;
+
+// Largest single `userAudio` frame, and the same frame as base64
+export const MAX_AUDIO_FRAME_BYTES = 64 * 1024;
+const MAX_AUDIO_FRAME_BASE64_LENGTH = 4 * Math.ceil(MAX_AUDIO_FRAME_BYTES / 3);
+
+const PERFORMANCE_MODES = ['fast', 'balanced', 'quality'];
+const TRANSCRIPT_FORMATS = ['json', 'md', 'txt'];
+
+const noPayload = {
+  type: 'object',
+  description: 'No payload (an empty object is accepted)'
+};
+
+const voiceConfig = {
+  type: 'object',
+  properties: {
+    gender: { type: 'string', enum: ['male', 'female'] },
+    name: { type: ['string', 'null'] },
+    style: { type: ['string', 'null'] },
+    performanceMode: { type: 'string', enum: PERFORMANCE_MODES },
+    locale: { type: 'string', description: 'SSML language of the voice' },
+    description: { type: 'string' }
+  }
+};
+
+const persona = {
+  type: 'object',
+  required: ['id', 'displayName'],
+  properties: {
+    id: { type: 'string' },
+    displayName: { type: 'string' },
+    description: { type: 'string' }
+  }
+};
+
+/**
+ * Client -> server events: { summary, payload, optional } - `optional` events may be sent without a payload
+ */
+export const CLIENT_EVENTS = {
+  startSession: {
+    summary: 'Start (or restart) the therapy session and play the greeting',
+    optional: true,
+    payload: {
+      type: 'object',
+      properties: {
+        region: { type: 'string', pattern: '^[A-Za-z]{2}$', description: 'ISO 3166 alpha-2 region for crisis resources' },
+        persona: { type: 'string', maxLength: 40, description: 'Persona id (default persona when omitted)' },
+        locale: { type: 'string', maxLength: 20, description: 'Session language, e.g. "es-ES" or "es" (detected from the first utterances when omitted)' },
+        continuity: { type: 'boolean', description: "Continue from the user's previous session notes (default true; false starts fresh)" },
+        speechEvents: {
+          type: 'object',
+          description: 'Opt-in timing events for this session (both off by default)',
+          properties: {
+            wordTimings: { type: 'boolean', description: 'Send aiWordTiming' },
+            visemes: { type: 'boolean', description: 'Send aiViseme (Azure voices only)' }
+          }
+        }
+      }
+    }
+  },
+  resumeSession: {
+    summary: 'Reattach a stored session after a reconnect',
+    payload: {
+      type: 'object',
+      required: ['sessionToken'],
+      properties: {
+        sessionToken: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,100}$' }
+      }
+    }
+  },
+  userSpeech: {
+    summary: 'Transcribed user utterance to answer',
+    payload: {
+      type: 'object',
+      required: ['text'],
+      properties: {
+        text: { type: 'string', minLength: 1, maxLength: 1000, pattern: '\\S' }
+      }
+    }
+  },
+  userAudio: {
+    summary: 'Microphone frame for server-side recognition; the first frame sets format, sample rate and language',
+    payload: {
+      type: 'object',
+      required: ['audio'],
+      properties: {
+        audio: {
+          description: 'Binary frame (ArrayBuffer/Buffer) or base64 string, at most 64 KiB',
+          anyOf: [
+            { type: 'string', minLength: 1, maxLength: MAX_AUDIO_FRAME_BASE64_LENGTH },
+            { type: 'object', maxBytes: MAX_AUDIO_FRAME_BYTES }
+          ]
+        },
+        format: { type: 'string', enum: ['pcm16', 'ogg-opus', 'webm-opus'] },
+        sampleRate: { type: 'integer', enum: [8000, 16000, 24000, 48000] },
+        language: { type: 'string', maxLength: 20 }
+      }
+    }
+  },
+  userAudioEnd: {
+    summary: 'Flush the recognizer after the last audio frame',
+    optional: true,
+    payload: noPayload
+  },
+  setVoiceConfig: {
+    summary: "Change this session's voice (applies from the next utterance)",
+    payload: {
+      type: 'object',
+      properties: {
+        gender: { type: 'string', enum: ['male', 'female'] },
+        voiceName: { type: 'string', maxLength: 100 },
+        performanceMode: { type: 'string', enum: PERFORMANCE_MODES }
+      }
+    }
+  },
+  interruptAI: {
+    summary: 'Stop the current reply',
+    optional: true,
+    payload: noPayload
+  },
+  speechDetected: {
+    summary: 'The user started speaking; stops the current reply (barge-in)',
+    optional: true,
+    payload: noPayload
+  },
+  playbackProgress: {
+    summary: 'How far the client has played an utterance, so an interrupted reply is stored as heard',
+    payload: {
+      type: 'object',
+      required: ['utteranceId'],
+      anyOf: [{ required: ['sentence', 'offsetMs'] }, { required: ['finished'] }],
+      properties: {
+        utteranceId: { type: 'integer', minimum: 1 },
+        sentence: { type: 'integer', minimum: 0, description: 'Sentence index from aiAudio' },
+        offsetMs: { type: 'number', minimum: 0, description: "Playback position within the sentence's audio" },
+        finished: { type: 'boolean', description: 'The whole utterance has been played' }
+      }
+    }
+  },
+  startExercise: {
+    summary: 'Start a guided exercise (see GET /api/exercises), or resume it when it is paused',
+    payload: {
+      type: 'object',
+      required: ['exercise'],
+      properties: {
+        exercise: { type: 'string', maxLength: 40, description: 'Exercise id' }
+      }
+    }
+  },
+  stopExercise: {
+    summary: 'End the guided exercise; interruptions only pause it',
+    optional: true,
+    payload: noPayload
+  },
+  exportTranscript: {
+    summary: 'Request the session transcript',
+    optional: true,
+    payload: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', enum: TRANSCRIPT_FORMATS },
+        annotations: { type: 'boolean' }
+      }
+    }
+  },
+  endSession: {
+    summary: 'End the session; it can no longer be resumed. Its notes follow as sessionSummary',
+    optional: true,
+    payload: noPayload
+  }
+};
+
+/**
+ * Server -> client events: { summary, payload }
+ */
+export const SERVER_EVENTS = {
+  protocol: {
+    summary: 'Negotiated protocol version, sent on connect',
+    payload: {
+      type: 'object',
+      required: ['version', 'supportedVersions'],
+      properties: {
+        version: { type: 'integer' },
+        supportedVersions: { type: 'array', items: { type: 'integer' } }
+      }
+    }
+  },
+  sessionToken: {
+    summary: 'Token for resuming this session',
+    payload: {
+      type: 'object',
+      required: ['sessionToken', 'expiresIn', 'persona'],
+      properties: {
+        sessionToken: { type: 'string' },
+        expiresIn: { type: 'number', description: 'Seconds' },
+        persona,
+        locale: { type: 'string' }
+      }
+    }
+  },
+  sessionResumed: {
+    summary: 'Session restored after resumeSession',
+    payload: {
+      type: 'object',
+      required: ['sessionToken', 'expiresIn', 'conversationHistory', 'voiceConfig', 'persona'],
+      properties: {
+        sessionToken: { type: 'string' },
+        expiresIn: { type: 'number' },
+        conversationHistory: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['role', 'content'],
+            properties: {
+              role: { type: 'string', enum: ['user', 'assistant'] },
+              content: { type: 'string' },
+              timestamp: { type: 'string' }
+            }
+          }
+        },
+        voiceConfig,
+        persona,
+        locale: { type: 'string' }
+      }
+    }
+  },
+  localeChanged: {
+    summary: "The session's language was detected from the client's speech; replies and the voice switch to it",
+    payload: {
+      type: 'object',
+      required: ['locale', 'source'],
+      properties: {
+        locale: { type: 'string' },
+        source: { type: 'string', enum: ['detected'] }
+      }
+    }
+  },
+  sessionTakenOver: {
+    summary: "This socket's session was resumed on another connection",
+    payload: noPayload
+  },
+  sessionSummary: {
+    summary: 'End-of-session notes, sent after endSession when the client said anything',
+    payload: {
+      type: 'object',
+      required: ['sessionId', 'endedAt', 'overview', 'themes', 'emotions', 'copingStrategies', 'reflectionQuestions'],
+      properties: {
+        sessionId: { type: 'string', description: 'Id for GET /api/summaries/:sessionId' },
+        userId: { type: ['string', 'null'] },
+        personaId: { type: 'string' },
+        locale: { type: 'string' },
+        startedAt: { type: 'string' },
+        endedAt: { type: 'string' },
+        turns: { type: 'integer', description: 'Client messages in the session' },
+        overview: { type: 'string' },
+        themes: { type: 'array', items: { type: 'string' } },
+        emotions: { type: 'array', items: { type: 'string' } },
+        copingStrategies: { type: 'array', items: { type: 'string' } },
+        reflectionQuestions: { type: 'array', items: { type: 'string' }, description: 'Questions to reflect on before next time' },
+        source: { type: 'string', enum: ['llm', 'local'], description: 'Written by the model, or put together from the history' }
+      }
+    }
+  },
+  aiResponse: {
+    summary: 'Complete therapist reply text',
+    payload: {
+      type: 'object',
+      required: ['text'],
+      properties: {
+        text: { type: 'string' },
+        safety: { type: 'boolean', description: 'True for the vetted crisis response' }
+      }
+    }
+  },
+  aiResponseDelta: {
+    summary: 'Streamed fragment of the reply text',
+    payload: {
+      type: 'object',
+      required: ['text'],
+      properties: {
+        text: { type: 'string' }
+      }
+    }
+  },
+  aiAudio: {
+    summary: 'Reply audio chunk, in order',
+    payload: {
+      type: 'object',
+      required: ['audio', 'utteranceId', 'sequence'],
+      properties: {
+        audio: { type: 'string', description: 'Base64 audio' },
+        format: { type: ['string', 'null'], description: 'MIME type, e.g. audio/mpeg' },
+        utteranceId: { type: 'integer' },
+        sequence: { type: 'integer' },
+        sentence: { type: 'integer' }
+      }
+    }
+  },
+  aiAudioEnd: {
+    summary: 'End of an utterance',
+    payload: {
+      type: 'object',
+      required: ['utteranceId'],
+      properties: {
+        utteranceId: { type: 'integer' },
+        chunks: { type: 'integer' },
+        sentences: { type: 'integer' },
+        interrupted: { type: 'boolean' }
+      }
+    }
+  },
+  aiWordTiming: {
+    summary: 'A word of the reply, timed against its sentence\'s audio (startSession speechEvents.wordTimings)',
+    payload: {
+      type: 'object',
+      required: ['utteranceId', 'sentence', 'word', 'offsetMs'],
+      properties: {
+        utteranceId: { type: 'integer' },
+        sentence: { type: 'integer', description: 'Sentence index, as on aiAudio' },
+        word: { type: 'string' },
+        textOffset: { type: 'integer', description: 'Position of the word in the sentence text' },
+        wordLength: { type: 'integer' },
+        offsetMs: { type: 'number', description: "When the word starts, from the start of the sentence's audio" }
+      }
+    }
+  },
+  aiViseme: {
+    summary: 'Mouth position for lip-sync, timed against its sentence\'s audio (startSession speechEvents.visemes)',
+    payload: {
+      type: 'object',
+      required: ['utteranceId', 'sentence', 'visemeId', 'offsetMs'],
+      properties: {
+        utteranceId: { type: 'integer' },
+        sentence: { type: 'integer', description: 'Sentence index, as on aiAudio' },
+        visemeId: { type: 'integer', description: 'Azure viseme ID (0-21)' },
+        offsetMs: { type: 'number', description: "When the viseme starts, from the start of the sentence's audio" }
+      }
+    }
+  },
+  exerciseStarted: {
+    summary: 'A guided exercise started (or resumed) as utterance utteranceId',
+    payload: {
+      type: 'object',
+      required: ['exerciseId', 'title', 'utteranceId', 'step', 'totalSteps', 'rounds', 'resumed'],
+      properties: {
+        exerciseId: { type: 'string' },
+        title: { type: 'string' },
+        utteranceId: { type: 'integer' },
+        step: { type: 'integer', description: 'Step it starts from' },
+        totalSteps: { type: 'integer', description: 'Steps including the introduction and closing words' },
+        rounds: { type: 'integer' },
+        resumed: { type: 'boolean' }
+      }
+    }
+  },
+  exerciseStep: {
+    summary: "A step of the exercise; it plays with the aiAudio chunks of the same utteranceId and sentence",
+    payload: {
+      type: 'object',
+      required: ['exerciseId', 'utteranceId', 'sentence', 'step', 'totalSteps', 'kind', 'text', 'pauseMs'],
+      properties: {
+        exerciseId: { type: 'string' },
+        utteranceId: { type: 'integer' },
+        sentence: { type: 'integer', description: 'Sentence index, as on aiAudio' },
+        step: { type: 'integer' },
+        totalSteps: { type: 'integer' },
+        kind: { type: 'string', enum: ['intro', 'step', 'outro'] },
+        round: { type: ['integer', 'null'] },
+        text: { type: 'string' },
+        pauseMs: { type: 'integer', description: 'Silence after the spoken text, included in the audio' }
+      }
+    }
+  },
+  exercisePaused: {
+    summary: 'The exercise was interrupted; startExercise with the same id resumes it from step',
+    payload: {
+      type: 'object',
+      required: ['exerciseId', 'step', 'totalSteps'],
+      properties: {
+        exerciseId: { type: 'string' },
+        step: { type: 'integer' },
+        totalSteps: { type: 'integer' }
+      }
+    }
+  },
+  exerciseEnded: {
+    summary: 'The exercise finished or was stopped; the conversation carries on',
+    payload: {
+      type: 'object',
+      required: ['exerciseId', 'completed', 'step', 'totalSteps'],
+      properties: {
+        exerciseId: { type: 'string' },
+        completed: { type: 'boolean' },
+        step: { type: 'integer', description: 'Steps played (totalSteps when completed)' },
+        totalSteps: { type: 'integer' }
+      }
+    }
+  },
+  readyToListen: {
+    summary: 'The greeting (or resume) finished; recording can start',
+    payload: noPayload
+  },
+  voiceConfig: {
+    summary: "The session's voice configuration after setVoiceConfig",
+    payload: {
+      type: 'object',
+      required: ['voiceConfig'],
+      properties: { voiceConfig }
+    }
+  },
+  safetyEscalation: {
+    summary: 'High-risk disclosure detected; the reply is replaced with a crisis response',
+    payload: {
+      type: 'object',
+      required: ['level', 'categories', 'source', 'resources'],
+      properties: {
+        level: { type: 'string' },
+        categories: { type: 'array', items: { type: 'string' } },
+        source: { type: 'string', enum: ['user', 'assistant'] },
+        resources: {
+          type: 'object',
+          required: ['region', 'resources'],
+          properties: {
+            region: { type: 'string' },
+            name: { type: 'string' },
+            resources: { type: 'array', items: { type: 'object' } }
+          }
+        }
+      }
+    }
+  },
+  partialTranscript: {
+    summary: 'Interim recognition text',
+    payload: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } }
+  },
+  finalTranscript: {
+    summary: 'Recognized utterance; answered like userSpeech',
+    payload: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } }
+  },
+  transcript: {
+    summary: 'Exported session transcript',
+    payload: {
+      type: 'object',
+      required: ['format', 'mimeType', 'filename', 'content'],
+      properties: {
+        format: { type: 'string', enum: TRANSCRIPT_FORMATS },
+        mimeType: { type: 'string' },
+        filename: { type: 'string' },
+        content: { type: 'string' }
+      }
+    }
+  },
+  rateLimited: {
+    summary: 'An event was dropped by the rate limiter',
+    payload: {
+      type: 'object',
+      required: ['event', 'retryAfter', 'retryAfterMs'],
+      properties: {
+        event: { type: 'string' },
+        retryAfter: { type: 'number', description: 'Seconds' },
+        retryAfterMs: { type: 'number' }
+      }
+    }
+  },
+  error: {
+    summary: 'Request failed or was rejected',
+    payload: {
+      type: 'object',
+      required: ['message', 'code'],
+      properties: {
+        message: { type: 'string' },
+        code: { type: 'string' },
+        event: { type: 'string', description: 'Inbound event that was rejected' },
+        details: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Binary data (Buffer, ArrayBuffer or typed array) of at most `maxBytes` bytes
+ajv.addKeyword({
+  keyword: 'maxBytes',
+  schemaType: 'number',
+  validate: (maxBytes, data) =>
+    (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) && data.byteLength <= maxBytes,
+  errors: false
+});
+
+const compile = (events) => Object.fromEntries(
+  Object.entries(events).map(([event, { payload }]) => [event, ajv.compile(payload)])
+);
+const clientValidators = compile(CLIENT_EVENTS);
+const serverValidators = compile(SERVER_EVENTS);
+
+function describeErrors(errors) {
+  return (errors || []).map(error => `${error.instancePath || 'payload'} ${error.message}`);
+}
+
+/**
+ * Pick the protocol version for a handshake. `requested` is a version or a list of
+ * versions the client speaks (numbers or numeric strings); none means legacy version 1.
+ * @returns {number|null} - null when there is no common version
+ */
+export function negotiateProtocolVersion(requested) {
+  if (requested === undefined || requested === null || requested === '') {
+    return LEGACY_PROTOCOL_VERSION;
+  }
+  const offered = (Array.isArray(requested) ? requested : String(requested).split(','))
+    .map(version => Number(version))
+    .filter(version => Number.isInteger(version));
+  const common = SUPPORTED_PROTOCOL_VERSIONS.filter(version => offered.includes(version));
+  return common.length > 0 ? Math.max(...common) : null;
+}
+
+/**
+ * Validate an inbound event payload
+ * @returns {{ code: string, message: string, details?: string[] } | null} - null when valid
+ */
+export function validateClientEvent(event, payload) {
+  const definition = CLIENT_EVENTS[event];
+  if (!definition) {
+    return { code: 'UNKNOWN_EVENT', message: `Unknown event: ${event}` };
+  }
+  if (payload === undefined && definition.optional) {
+    return null;
+  }
+  if (!clientValidators[event](payload)) {
+    return {
+      code: 'INVALID_PAYLOAD',
+      message: `Invalid ${event} payload`,
+      details: describeErrors(clientValidators[event].errors)
+    };
+  }
+  return null;
+}
+
+/**
+ * Validate an outbound event payload
+ * @returns {string[] | null} - Problems found, null when valid (or the event is undeclared)
+ */
+export function validateServerEvent(event, payload) {
+  const validate = serverValidators[event];
+  if (!validate) return [`Undeclared event: ${event}`];
+  return validate(payload ?? {}) ? null : describeErrors(validate.errors);
+}
+
+/**
+ * True when outbound payloads should be checked (PROTOCOL_VALIDATE_OUTBOUND, on outside production)
+ */
+export function shouldValidateOutbound() {
+  const setting = process.env.PROTOCOL_VALIDATE_OUTBOUND;
+  return setting ? setting === 'true' : process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * AsyncAPI 2.6 description of the protocol
+ */
+export function buildAsyncAPIDocument() {
+  const messages = (events) => Object.entries(events).map(([event, { summary, payload }]) => ({
+    name: event,
+    title: event,
+    summary,
+    payload
+  }));
+
+  return {
+    asyncapi: '2.6.0',
+    info: {
+      title: 'Zeyphr voice therapy protocol',
+      version: String(PROTOCOL_VERSION),
+      description: 'Socket.IO events. The message name is the Socket.IO event name; the payload is its first argument. ' +
+        'Announce the protocol versions you speak with `auth.protocolVersion` (or the `protocolVersion` query parameter) in the handshake.'
+    },
+    defaultContentType: 'application/json',
+    channels: {
+      '/': {
+        description: 'Default Socket.IO namespace',
+        publish: {
+          summary: 'Client -> server events',
+          message: { oneOf: messages(CLIENT_EVENTS) }
+        },
+        subscribe: {
+          summary: 'Server -> client events',
+          message: { oneOf: messages(SERVER_EVENTS) }
+        }
+      }
+    },
+    'x-supported-versions': SUPPORTED_PROTOCOL_VERSIONS
+  };
+}
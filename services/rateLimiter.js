@@ -0,0 +1,205 @@
+// rateLimiter.js - Token-bucket rate limiting shared by socket events and HTTP routes
+//
+// Each client key (user id, or IP for anonymous clients) owns one bucket holding up to
+// RATE_LIMIT_CAPACITY tokens, refilled at RATE_LIMIT_REFILL_PER_MINUTE. Every socket
+// event and HTTP request spends tokens according to its cost; expensive events (an LLM
+// turn, a new session) cost more. Bucket stores share one async contract:
+//   take(key, cost, capacity, refillPerMs) => { allowed, remaining, retryAfterMs }
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+const logger = createLogger('rate-limiter');
+
+// Default cost per socket event / HTTP request; anything unlisted costs DEFAULT_COST
+const DEFAULT_EVENT_COSTS = {
+  startSession: 5,
+  resumeSession: 2,
+  userSpeech: 3,
+  chat: 3,            // POST /api/chat and /api/chat/stream, instead of http
+  userAudio: 0,        // Frames arrive many times a second; the transcripts they produce are charged as userSpeech
+  userAudioEnd: 0,
+  interruptAI: 0,
+  speechDetected: 0,
+  playbackProgress: 0,  // Sent continuously during playback
+  stopExercise: 0,
+  endSession: 0,
+  http: 1
+};
+const DEFAULT_COST = 1;
+
+// How often idle buckets are swept from the memory store
+const SWEEP_INTERVAL_MS = 60000;
+
+/**
+ * Refill a bucket for the time elapsed and try to spend `cost` tokens
+ */
+function spend(bucket, now, cost, capacity, refillPerMs) {
+  const tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  const allowed = tokens >= cost;
+  const remaining = allowed ? tokens - cost : tokens;
+  return {
+    bucket: { tokens: remaining, updatedAt: now },
+    allowed,
+    remaining,
+    retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / refillPerMs)
+  };
+}
+
+/**
+ * In-process buckets (default). Limits apply per instance.
+ */
+export function createMemoryBucketStore() {
+  const buckets = new Map();
+
+  // A bucket that has refilled completely is indistinguishable from a new one - drop it
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (now >= bucket.fullAt) buckets.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    async take(key, cost, capacity, refillPerMs) {
+      const now = Date.now();
+      const current = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      const result = spend(current, now, cost, capacity, refillPerMs);
+      buckets.set(key, { ...result.bucket, fullAt: now + (capacity - result.remaining) / refillPerMs });
+      return { allowed: result.allowed, remaining: result.remaining, retryAfterMs: result.retryAfterMs };
+    },
+    async close() {
+      clearInterval(sweep);
+      buckets.clear();
+    }
+  };
+}
+
+// Atomic refill-and-spend on the server clock, so instances share one bucket per key
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(bucket[1]) or capacity
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + (now - updatedAt) * refillPerMs)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refillPerMs) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Redis (or any RESP-compatible server). Shared across instances.
+ */
+export async function createRedisBucketStore({ url, keyPrefix = 'zeyphr:ratelimit:' }) {
+  const { default: Redis } = await import('ioredis');
+  const client = new Redis(url, { maxRetriesPerRequest: 2 });
+
+  client.on('error', (error) => {
+    logger.error('Redis error', { error: error.message });
+  });
+
+  return {
+    async take(key, cost, capacity, refillPerMs) {
+      const [allowed, tokens] = await client.eval(TAKE_SCRIPT, 1, keyPrefix + key, capacity, refillPerMs, cost);
+      const remaining = parseFloat(tokens);
+      return {
+        allowed: allowed === 1,
+        remaining,
+        retryAfterMs: allowed === 1 ? 0 : Math.ceil((cost - remaining) / refillPerMs)
+      };
+    },
+    async close() {
+      await client.quit();
+    }
+  };
+}
+
+/**
+ * Parse RATE_LIMIT_COSTS ("userSpeech=3,startSession=5") over the defaults
+ */
+function loadEventCosts() {
+  const costs = { ...DEFAULT_EVENT_COSTS };
+  for (const entry of (process.env.RATE_LIMIT_COSTS || '').split(',')) {
+    const [event, value] = entry.split('=').map(part => part && part.trim());
+    const cost = parseFloat(value);
+    if (event && Number.isFinite(cost) && cost >= 0) costs[event] = cost;
+  }
+  return costs;
+}
+
+/**
+ * Create the limiter selected by RATE_LIMIT_STORE (memory | redis)
+ * @param {string} [type] - Store type, overriding RATE_LIMIT_STORE
+ * @returns {Promise<{ enabled: boolean, costOf: Function, consume: Function, close: Function }>}
+ */
+export async function createRateLimiter(type = process.env.RATE_LIMIT_STORE || 'memory') {
+  const capacity = parseFloat(process.env.RATE_LIMIT_CAPACITY) || 30;
+  const refillPerMs = (parseFloat(process.env.RATE_LIMIT_REFILL_PER_MINUTE) || 20) / 60000;
+  const enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+  const costs = loadEventCosts();
+
+  let store;
+  switch (type) {
+    case 'memory':
+      store = createMemoryBucketStore();
+      break;
+    case 'redis':
+      store = await createRedisBucketStore({
+        url: process.env.RATE_LIMIT_REDIS_URL || process.env.REDIS_URL || 'redis://localhost:6379',
+        keyPrefix: process.env.RATE_LIMIT_KEY_PREFIX || undefined
+      });
+      break;
+    default:
+      throw new Error(`Unknown rate limit store: ${type}`);
+  }
+
+  return {
+    enabled,
+
+    costOf(event) {
+      return costs[event] ?? DEFAULT_COST;
+    },
+
+    /**
+     * Spend tokens from a client's bucket. Store failures let the request through.
+     * @param {string} key - Client key, e.g. "user:alice" or "ip:203.0.113.7"
+     * @param {number} cost - Tokens to spend
+     * @returns {Promise<{ allowed: boolean, remaining: number, retryAfterMs: number }>}
+     */
+    async consume(key, cost) {
+      if (!enabled || cost <= 0) {
+        return { allowed: true, remaining: capacity, retryAfterMs: 0 };
+      }
+      try {
+        // A cost above capacity could never be paid - charge a full bucket instead
+        return await store.take(key, Math.min(cost, capacity), capacity, refillPerMs);
+      } catch (error) {
+        logger.error('Store unavailable, allowing request', { error: error.message });
+        return { allowed: true, remaining: capacity, retryAfterMs: 0 };
+      }
+    },
+
+    close() {
+      return store.close();
+    }
+  };
+}
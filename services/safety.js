@@ -0,0 +1,240 @@
+// safety.js - Crisis and self-harm detection with an escalation path
+//
+// Every user utterance is classified before it reaches the LLM. Rules run first: the
+// English ones below plus those in the session locale's catalog. An LLM check
+// (SAFETY_LLM_CHECK=true, and always for languages without rules of their own) can
+// raise, never lower, the result. High risk short-circuits the conversation with a
+// vetted crisis response.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createLogger } from './logger.js';
+import { getLocaleCatalog, getSafetyRules } from './locales.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+const logger = createLogger('safety');
+
+export const RISK_LEVELS = {
+  NONE: 'none',
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+const LEVEL_ORDER = [RISK_LEVELS.NONE, RISK_LEVELS.LOW, RISK_LEVELS.MEDIUM, RISK_LEVELS.HIGH];
+
+const RESOURCES_FILE = process.env.CRISIS_RESOURCES_FILE || path.join(__dirname, '..', 'config', 'crisisResources.json');
+const DEFAULT_REGION = (process.env.CRISIS_REGION || 'US').toUpperCase();
+const INCIDENT_LOG = process.env.SAFETY_INCIDENT_LOG || path.join(__dirname, '..', 'logs', 'safety-incidents.jsonl');
+const MAX_INCIDENTS_IN_MEMORY = 500;
+
+// First-person intent ("I'm going to", "I want to", "I'll"), which separates a plan from a figure of speech
+const INTENT = String.raw`\bi(('m| am) (going|planning|about|ready)|( really| just)? (want|plan)|('ve| have) decided) to|\bi('ll| will)`;
+
+// Rules for user utterances: { id, category, level, pattern } (other languages' are in their catalogs).
+// HIGH rules need first-person wording; bare mentions of a method or act are MEDIUM.
+const USER_RULES = [
+  // Suicidal ideation
+  { id: 'suicide-explicit', category: 'suicide', level: RISK_LEVELS.HIGH, pattern: /\b(kill(ing)? my ?self|end(ing)? my (own )?life|take my (own )?life|commit(ting)? suicide|suicidal)\b/i },
+  // "going to die of embarrassment" is not a plan
+  { id: 'suicide-plan', category: 'suicide', level: RISK_LEVELS.HIGH, pattern: /\b(plan(ning)?|going|want|ready) to (die\b(?! (of|from|for|laughing)\b)|end it( all)?\b|kill myself\b)/i },
+  { id: 'suicide-method', category: 'suicide', level: RISK_LEVELS.HIGH, pattern: new RegExp(`(${INTENT}) (overdose|hang myself|jump off (a|the|this) \\w+|slit my wrists?|take (all )?(my|the|these) pills)\\b|\\bpills? to (die|end (it|my life))\\b`, 'i') },
+  { id: 'suicide-method-mention', category: 'suicide', level: RISK_LEVELS.MEDIUM, pattern: /\b(overdos(e|ed|ing)|hang(ing)? myself|jump(ing)? off (a|the) (bridge|building|roof|cliff)|slit(ting)? my wrists?)\b/i },
+  { id: 'suicide-passive', category: 'suicide', level: RISK_LEVELS.MEDIUM, pattern: /\b(wish i (was|were) dead|better off (dead|without me)|don'?t want to (live|be alive|wake up)|no reason to live|want to disappear forever)\b/i },
+  // Self-harm
+  // "I keep hurting myself by overthinking" is a figure of speech
+  { id: 'self-harm-act', category: 'self_harm', level: RISK_LEVELS.HIGH, pattern: /\bi(('m| am)|('ve| have) been| keep| still| started)? (cutting|burning|hurting|harming) myself\b(?! (by|with|when|while|over)\b)|\bi (cut|burn|hurt|harm) myself (again|on purpose|every (day|night))\b|\bi('m| am)? self[- ]harming\b/i },
+  { id: 'self-harm-mention', category: 'self_harm', level: RISK_LEVELS.MEDIUM, pattern: /\b(cut(ting)? myself|burn(ing|ed)? myself|hurt(ing)? myself|harm(ing)? myself|self[- ]harm(ing)?)\b/i },
+  { id: 'self-harm-urge', category: 'self_harm', level: RISK_LEVELS.MEDIUM, pattern: /\b(urge|want|tempted) to (cut|hurt|harm|punish) (myself|me)\b/i },
+  // Abuse disclosures
+  { id: 'abuse-ongoing', category: 'abuse', level: RISK_LEVELS.HIGH, pattern: /\b(he|she|they|my (partner|husband|wife|boyfriend|girlfriend|dad|father|mom|mother|parent|stepdad|stepmom)) (hits|beats|chokes|rapes|is hurting|keeps hurting|threatens to kill) me\b/i },
+  { id: 'abuse-unsafe-home', category: 'abuse', level: RISK_LEVELS.HIGH, pattern: /\b(not safe at home|afraid (he|she|they)('ll| will) kill me|being abused|sexually abused|molested)\b/i },
+  { id: 'abuse-history', category: 'abuse', level: RISK_LEVELS.MEDIUM, pattern: /\b(was abused|abusive (relationship|partner|parent)|domestic violence)\b/i },
+  // Harm to others
+  { id: 'harm-others', category: 'harm_to_others', level: RISK_LEVELS.HIGH, pattern: new RegExp(`(${INTENT}) (kill|hurt|shoot|stab) (him|her|them|someone|everyone|my (partner|husband|wife|boss|kids?))\\b`, 'i') },
+  // General distress
+  { id: 'hopeless', category: 'distress', level: RISK_LEVELS.LOW, pattern: /\b(hopeless|can'?t go on|can'?t take (it|this) anymore|give up on everything)\b/i }
+];
+
+// Rules for assistant replies: content the model must never speak
+const REPLY_RULES = [
+  { id: 'reply-method-detail', category: 'unsafe_reply', level: RISK_LEVELS.HIGH, pattern: /\b(lethal dose|how many pills|most painless way|best way to (die|kill yourself)|you could (overdose|hang|cut))\b/i },
+  { id: 'reply-encouragement', category: 'unsafe_reply', level: RISK_LEVELS.HIGH, pattern: /\b(you should (kill|hurt|harm) yourself|(they|everyone) would be better off without you|go ahead and (end|do) it)\b/i }
+];
+
+let crisisResources = null;
+const incidents = [];
+
+function maxLevel(a, b) {
+  return LEVEL_ORDER.indexOf(a) >= LEVEL_ORDER.indexOf(b) ? a : b;
+}
+
+/**
+ * Load crisis resources from the configured JSON file (cached)
+ */
+function loadCrisisResources() {
+  if (!crisisResources) {
+    try {
+      crisisResources = JSON.parse(fs.readFileSync(RESOURCES_FILE, 'utf8'));
+    } catch (error) {
+      logger.error('Could not load crisis resources', { file: RESOURCES_FILE, error: error.message });
+      crisisResources = {};
+    }
+  }
+  return crisisResources;
+}
+
+/**
+ * Hotline resources for a region (ISO 3166 alpha-2), falling back to the default list
+ */
+export function getCrisisResources(region) {
+  const resources = loadCrisisResources();
+  const code = (region || DEFAULT_REGION).toUpperCase();
+  const entry = resources[code] || resources.default || { name: 'Crisis resources', resources: [] };
+  return { region: resources[code] ? code : 'default', ...entry };
+}
+
+/**
+ * Run a rule set against text
+ */
+function applyRules(text, rules) {
+  let level = RISK_LEVELS.NONE;
+  const categories = new Set();
+  const matchedRules = [];
+
+  for (const rule of rules) {
+    if (rule.pattern.test(text)) {
+      level = maxLevel(level, rule.level);
+      categories.add(rule.category);
+      matchedRules.push(rule.id);
+    }
+  }
+
+  return { level, categories: [...categories], matchedRules, source: 'rules' };
+}
+
+/**
+ * Classify a user utterance
+ * @param {string} text - The user's utterance
+ * @param {Object} [options]
+ * @param {Function} [options.llmClassifier] - async (text) => { level, categories } | null
+ * @param {string|null} [options.locale] - Session locale; none applies every language's rules
+ * @returns {Promise<{ level: string, categories: string[], matchedRules: string[], source: string }>}
+ */
+export async function assessUtterance(text, { llmClassifier, locale = null } = {}) {
+  const localeRules = getSafetyRules(locale);
+  const assessment = applyRules(text, [...USER_RULES, ...localeRules]);
+
+  // The English rules can't read other languages, so those without rules of their own get the LLM check
+  const llmCheck = process.env.SAFETY_LLM_CHECK === 'true' ||
+    (locale && localeRules.length === 0 && getLocaleCatalog(locale).language !== 'en');
+
+  // Rules already found the worst case, or the LLM check is disabled
+  if (assessment.level === RISK_LEVELS.HIGH || !llmClassifier || !llmCheck) {
+    return assessment;
+  }
+
+  try {
+    const llmResult = await llmClassifier(text);
+    if (llmResult && LEVEL_ORDER.includes(llmResult.level)) {
+      const level = maxLevel(assessment.level, llmResult.level);
+      if (level !== assessment.level) {
+        return {
+          level,
+          categories: [...new Set([...assessment.categories, ...(llmResult.categories || [])])],
+          matchedRules: assessment.matchedRules,
+          source: 'llm'
+        };
+      }
+    }
+  } catch (error) {
+    logger.warn('LLM check failed, using rule result', { error: error.message });
+  }
+
+  return assessment;
+}
+
+/**
+ * Classify a sentence of the assistant's reply before it is spoken
+ */
+export function assessReply(text) {
+  return applyRules(text, REPLY_RULES);
+}
+
+/**
+ * True when an assessment must bypass the normal conversation
+ */
+export function requiresEscalation(assessment) {
+  return assessment.level === RISK_LEVELS.HIGH;
+}
+
+/**
+ * Vetted crisis response with hotline resources for the session's region, worded in
+ * the session's language
+ * @param {string} [region] - ISO 3166 alpha-2 region
+ * @param {string} [locale] - Session locale (see locales.js)
+ * @returns {{ text: string, resources: Object }}
+ */
+export function getCrisisResponse(region, locale) {
+  const resources = getCrisisResources(region);
+  const { crisis } = getLocaleCatalog(locale);
+  const primary = resources.resources[0];
+  const contact = primary
+    ? crisis.contact.replace('{name}', primary.name).replace('{contact}', primary.contact)
+    : null;
+  const text = [crisis.message, contact, crisis.offer].filter(Boolean).join(' ');
+  return { text, resources };
+}
+
+/**
+ * Record a safety incident for review (kept in memory and appended to SAFETY_INCIDENT_LOG)
+ * @param {Object} incident - { sessionId, source, assessment, text }
+ */
+export function recordIncident({ sessionId, source, assessment, text }) {
+  const incident = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    sessionId,
+    source,
+    level: assessment.level,
+    categories: assessment.categories,
+    matchedRules: assessment.matchedRules,
+    detectedBy: assessment.source,
+    text: text.substring(0, 500)
+  };
+
+  incidents.push(incident);
+  if (incidents.length > MAX_INCIDENTS_IN_MEMORY) {
+    incidents.shift();
+  }
+
+  if (INCIDENT_LOG !== 'off') {
+    fs.mkdir(path.dirname(INCIDENT_LOG), { recursive: true }, (mkdirError) => {
+      if (mkdirError) {
+        logger.error('Could not create incident log directory', { error: mkdirError.message });
+        return;
+      }
+      fs.appendFile(INCIDENT_LOG, JSON.stringify(incident) + '\n', (error) => {
+        if (error) logger.error('Could not write incident log', { error: error.message });
+      });
+    });
+  }
+
+  return incident;
+}
+
+/**
+ * Recent incidents, newest last
+ */
+export function getIncidents() {
+  return [...incidents];
+}
@@ -0,0 +1,202 @@
+// sessionStore.js - Pluggable storage for resumable sessions
+//
+// Every store implements the same async contract:
+//   get(token) => data | null, set(token, data, ttlMs), delete(token), close()
+// Entries expire ttlMs after their last set(); an expired entry reads as null.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+const logger = createLogger('session-store');
+
+// How often expired entries are swept from memory/file stores
+const SWEEP_INTERVAL_MS = 60000;
+
+const DEFAULT_REDIS_KEY_PREFIX = 'zeyphr:session:';
+
+/**
+ * In-process store (default). Sessions survive reconnects but not restarts.
+ */
+export function createMemorySessionStore() {
+  const entries = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [token, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(token);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    async get(token) {
+      const entry = entries.get(token);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(token);
+        return null;
+      }
+      // Hand out copies so callers can't mutate stored state by accident
+      return JSON.parse(entry.json);
+    },
+    async set(token, data, ttlMs) {
+      entries.set(token, { json: JSON.stringify(data), expiresAt: Date.now() + ttlMs });
+    },
+    async delete(token) {
+      entries.delete(token);
+    },
+    async close() {
+      clearInterval(sweep);
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * One JSON file per session in a directory. Survives restarts on a single instance.
+ */
+export function createFileSessionStore({ directory }) {
+  // Tokens are base64url, but never trust them as path components
+  const fileFor = (token) => path.join(directory, `${token.replace(/[^A-Za-z0-9_-]/g, '')}.json`);
+  const ready = fs.mkdir(directory, { recursive: true });
+
+  // Pending writes per file: set/delete on the same token run in call order, so the last one wins
+  const queues = new Map();
+  const enqueue = async (file, task) => {
+    const queued = (queues.get(file) || ready).then(task, task);
+    queues.set(file, queued);
+    try {
+      return await queued;
+    } finally {
+      if (queues.get(file) === queued) queues.delete(file);
+    }
+  };
+
+  const readEntry = async (file) => {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.error('Could not read session file', { file, error: error.message });
+      return null;
+    }
+  };
+
+  const sweep = setInterval(async () => {
+    try {
+      await ready;
+      const now = Date.now();
+      for (const name of await fs.readdir(directory)) {
+        if (!name.endsWith('.json')) continue;
+        const file = path.join(directory, name);
+        const entry = await readEntry(file);
+        if (entry && entry.expiresAt <= now) await fs.rm(file, { force: true });
+      }
+    } catch (error) {
+      logger.error('Sweep failed', { error: error.message });
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    async get(token) {
+      await ready;
+      const file = fileFor(token);
+      const entry = await readEntry(file);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        await fs.rm(file, { force: true });
+        return null;
+      }
+      return entry.data;
+    },
+    async set(token, data, ttlMs) {
+      const file = fileFor(token);
+      const contents = JSON.stringify({ data, expiresAt: Date.now() + ttlMs });
+      await enqueue(file, async () => {
+        // Write then rename so a crash never leaves a half-written session
+        const tempFile = `${file}.${crypto.randomUUID()}.tmp`;
+        try {
+          await fs.writeFile(tempFile, contents);
+          await fs.rename(tempFile, file);
+        } catch (error) {
+          await fs.rm(tempFile, { force: true });
+          throw error;
+        }
+      });
+    },
+    async delete(token) {
+      const file = fileFor(token);
+      await enqueue(file, () => fs.rm(file, { force: true }));
+    },
+    async close() {
+      clearInterval(sweep);
+    }
+  };
+}
+
+/**
+ * Redis (or any RESP-compatible server such as Valkey/KeyDB/Dragonfly). Shared across instances.
+ * Expiry is delegated to the server with PX.
+ */
+export async function createRedisSessionStore({ url, keyPrefix = DEFAULT_REDIS_KEY_PREFIX }) {
+  const { default: Redis } = await import('ioredis');
+  const client = new Redis(url, { maxRetriesPerRequest: 2 });
+
+  client.on('error', (error) => {
+    logger.error('Redis error', { error: error.message });
+  });
+
+  return {
+    async get(token) {
+      const json = await client.get(keyPrefix + token);
+      return json ? JSON.parse(json) : null;
+    },
+    async set(token, data, ttlMs) {
+      await client.set(keyPrefix + token, JSON.stringify(data), 'PX', ttlMs);
+    },
+    async delete(token) {
+      await client.del(keyPrefix + token);
+    },
+    async close() {
+      await client.quit();
+    }
+  };
+}
+
+/**
+ * Create the store selected by SESSION_STORE (memory | file | redis). A namespace gives a
+ * separate keyspace in the same backend (a subdirectory, or a longer Redis key prefix)
+ * that the default store's keys can never reach.
+ */
+export async function createSessionStore({ namespace } = {}) {
+  const type = process.env.SESSION_STORE || 'memory';
+
+  switch (type) {
+    case 'memory':
+      return createMemorySessionStore();
+    case 'file': {
+      const directory = process.env.SESSION_STORE_DIR || path.join(__dirname, '..', 'data', 'sessions');
+      return createFileSessionStore({ directory: namespace ? path.join(directory, namespace) : directory });
+    }
+    case 'redis': {
+      const keyPrefix = process.env.REDIS_KEY_PREFIX || DEFAULT_REDIS_KEY_PREFIX;
+      return createRedisSessionStore({
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        keyPrefix: namespace ? `${keyPrefix}${namespace}:` : keyPrefix
+      });
+    }
+    default:
+      throw new Error(`Unknown session store: ${type}`);
+  }
+}
@@ -0,0 +1,258 @@
+// sessionSummary.js - End-of-session notes for continuity between sessions
+//
+// When a client ends a session, its history is condensed into structured notes: an
+// overview, the main themes, the emotions expressed, coping strategies that came up and
+// reflection questions for next time. The model writes them when one is available (in
+// the session's language); otherwise they are put together from the mood scores, guided
+// exercises and keywords in the history. Notes are archived in the session store for
+// SESSION_SUMMARY_TTL_DAYS, and a user's latest notes give their next session context.
+
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { findExercise } from './exercises.js';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+const logger = createLogger('session-summary');
+
+const SUMMARY_TTL_MS = (parseFloat(process.env.SESSION_SUMMARY_TTL_DAYS) || 30) * 24 * 60 * 60000;
+
+// Summaries listed per user, newest first
+export const MAX_SUMMARIES_PER_USER = 10;
+
+const MAX_LIST_ITEMS = 5;
+const MAX_ITEM_LENGTH = 200;
+const MAX_OVERVIEW_LENGTH = 800;
+
+// Messages after the running memory summary sent to the model (the summary covers the rest)
+const MAX_SUMMARY_MESSAGES = 60;
+
+// topic: words that point to it
+const THEMES = {
+  work: ['work', 'job', 'boss', 'coworker', 'coworkers', 'career', 'deadline', 'deadlines', 'office'],
+  sleep: ['sleep', 'sleeping', 'insomnia', 'nightmares', 'awake'],
+  family: ['family', 'mother', 'mom', 'mum', 'father', 'dad', 'parents', 'sister', 'brother', 'kids', 'children'],
+  relationships: ['partner', 'relationship', 'boyfriend', 'girlfriend', 'husband', 'wife', 'breakup', 'divorce', 'dating'],
+  friendships: ['friend', 'friends', 'friendship'],
+  school: ['school', 'exam', 'exams', 'study', 'studying', 'university', 'college', 'class', 'grades'],
+  health: ['health', 'sick', 'illness', 'pain', 'doctor', 'diagnosis'],
+  money: ['money', 'debt', 'rent', 'bills', 'finances', 'salary'],
+  loneliness: ['lonely', 'loneliness', 'alone', 'isolated'],
+  grief: ['grief', 'died', 'death', 'loss', 'funeral', 'passed']
+};
+
+// strategy: pattern that mentions it
+const COPING_STRATEGIES = {
+  'breathing exercises': /\bbreath(e|ing)\b/,
+  'physical activity': /\b(walk|walks|walking|run|running|exercise|exercising|gym|yoga)\b/,
+  'journaling': /\b(journal|journaling|diary|writing things down)\b/,
+  'meditation or mindfulness': /\b(meditat\w*|mindful\w*)\b/,
+  'talking to someone they trust': /\b(talk(ed|ing)? to (a |my )?(friend|partner|family|someone))\b/,
+  'music': /\b(music|singing|playlist)\b/,
+  'rest and sleep routine': /\b(routine|nap|bedtime)\b/,
+  'time outdoors': /\b(outside|outdoors|nature|park)\b/
+};
+
+const THEME_QUESTIONS = {
+  work: 'What is one small change that could make work feel more manageable this week?',
+  sleep: 'What helps you wind down at night, and what gets in the way?',
+  family: 'What would you like to be different in how things are with your family?',
+  relationships: 'What do you need most from your relationship right now?',
+  friendships: 'Who in your life helps you feel most like yourself?',
+  school: 'What would a realistic goal for your studies look like this week?',
+  health: 'How are you looking after your body while dealing with this?',
+  money: 'Which part of the money worries feels most urgent, and what is one step toward it?',
+  loneliness: 'When did you last feel connected to someone, and what made it possible?',
+  grief: 'What would you like to remember or honor about what you lost?'
+};
+
+const EMOTION_QUESTIONS = {
+  fear: 'When the worry shows up, what does it tell you, and how true does that feel afterwards?',
+  sadness: 'What has brought you even a little comfort since we talked?',
+  anger: 'What is the frustration protecting or asking for?',
+  shame: 'What would you say to a friend who felt the way you do?',
+  joy: 'What went well, and how could you make room for more of it?',
+  calm: 'What helped you feel steadier, and how could you come back to it?'
+};
+
+const GENERAL_QUESTION = 'What felt most important from our last conversation, and has anything shifted since?';
+
+const isText = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Keep up to MAX_LIST_ITEMS distinct, trimmed strings
+ */
+function cleanList(values) {
+  if (!Array.isArray(values)) return [];
+  const items = values.filter(isText).map(value => value.trim().slice(0, MAX_ITEM_LENGTH));
+  return [...new Set(items)].slice(0, MAX_LIST_ITEMS);
+}
+
+/**
+ * "a, b and c"
+ */
+function joinList(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+}
+
+/**
+ * Build the notes from what is stored on the history, without a model
+ */
+function summarizeLocally(session) {
+  const userMessages = session.conversationHistory.filter(message => message.role === 'user');
+  const userWords = new Set(userMessages.flatMap(message => message.content.toLowerCase().match(/[a-z']+/g) || []));
+  const allText = session.conversationHistory.map(message => message.content.toLowerCase()).join('\n');
+
+  // Most mentioned first
+  const themes = Object.entries(THEMES)
+    .map(([theme, words]) => ({ theme, hits: words.filter(word => userWords.has(word)).length }))
+    .filter(({ hits }) => hits > 0)
+    .sort((a, b) => b.hits - a.hits)
+    .map(({ theme }) => theme);
+
+  // Emotion weights summed over the client's mood scores (see mood.js)
+  const totals = {};
+  for (const { mood } of userMessages) {
+    for (const [emotion, weight] of Object.entries(mood?.emotions || {})) {
+      totals[emotion] = (totals[emotion] || 0) + weight;
+    }
+  }
+  const emotions = Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
+
+  const exercises = session.conversationHistory
+    .filter(message => message.exercise)
+    .map(({ exercise }) => `${findExercise(exercise.id)?.title || exercise.id} (guided exercise)`);
+  const mentioned = Object.entries(COPING_STRATEGIES)
+    .filter(([, pattern]) => pattern.test(allText))
+    .map(([strategy]) => strategy);
+
+  const questions = [
+    ...themes.map(theme => THEME_QUESTIONS[theme]),
+    ...emotions.map(emotion => EMOTION_QUESTIONS[emotion]).filter(Boolean)
+  ].slice(0, 2);
+
+  const overview = session.memory?.summary ||
+    [
+      themes.length > 0 ? `The client talked about ${joinList(themes.slice(0, 3))}.` : 'The client shared what was on their mind.',
+      emotions.length > 0 ? `The main feelings expressed were ${joinList(emotions.slice(0, 3))}.` : null
+    ].filter(Boolean).join(' ');
+
+  return {
+    overview,
+    themes,
+    emotions,
+    copingStrategies: [...exercises, ...mentioned],
+    reflectionQuestions: [...questions, GENERAL_QUESTION]
+  };
+}
+
+/**
+ * Write the end-of-session notes for a session
+ * @param {Object} session - Session with conversationHistory and memory
+ * @param {Object} [options]
+ * @param {Function} [options.summarizer] - async ({ previousSummary, messages, language }) =>
+ *   { overview, themes, emotions, copingStrategies, reflectionQuestions } | null
+ * @param {string} [options.language] - English name of the session language for the model
+ * @returns {Promise<Object|null>} - null when the client never said anything
+ */
+export async function buildSessionSummary(session, { summarizer, language } = {}) {
+  const turns = session.conversationHistory.filter(message => message.role === 'user').length;
+  if (turns === 0) return null;
+
+  let notes = null;
+  let source = 'llm';
+  if (summarizer) {
+    try {
+      const result = await summarizer({
+        previousSummary: session.memory?.summary || '',
+        messages: session.conversationHistory
+          .slice(session.memory?.summarizedUpTo || 0)
+          .slice(-MAX_SUMMARY_MESSAGES)
+          .map(({ role, content }) => ({ role, content })),
+        language
+      });
+      if (result && isText(result.overview)) notes = result;
+    } catch (error) {
+      logger.warn('Session summary failed, using history only', { error: error.message });
+    }
+  }
+  if (!notes) {
+    notes = summarizeLocally(session);
+    source = 'local';
+  }
+
+  return {
+    sessionId: session.id,
+    userId: session.userId,
+    personaId: session.personaId,
+    locale: session.locale,
+    startedAt: session.createdAt,
+    endedAt: new Date().toISOString(),
+    turns,
+    overview: notes.overview.trim().slice(0, MAX_OVERVIEW_LENGTH),
+    themes: cleanList(notes.themes),
+    emotions: cleanList(notes.emotions),
+    copingStrategies: cleanList(notes.copingStrategies),
+    reflectionQuestions: cleanList(notes.reflectionQuestions),
+    source
+  };
+}
+
+/**
+ * System note that lets the therapist pick up where the previous session left off
+ */
+export function buildContinuityContext(summary) {
+  const lines = [
+    `Notes from the client's previous session (${summary.endedAt.slice(0, 10)}). Build on them naturally when it fits; don't recite them or mention that you have notes.`,
+    `Overview: ${summary.overview}`,
+    summary.themes.length > 0 ? `Themes: ${summary.themes.join('; ')}` : null,
+    summary.emotions.length > 0 ? `Emotions: ${summary.emotions.join('; ')}` : null,
+    summary.copingStrategies.length > 0 ? `Coping strategies: ${summary.copingStrategies.join('; ')}` : null,
+    summary.reflectionQuestions.length > 0 ? `Reflection questions suggested for this session: ${summary.reflectionQuestions.join(' ')}` : null
+  ];
+  return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Archive of session summaries on top of a session store (see sessionStore.js): one entry
+ * per summary, plus an index of each user's latest summaries
+ * @returns {{ save: Function, get: Function, listForUser: Function }}
+ */
+export function createSummaryArchive(store) {
+  const summaryKey = sessionId => `summary-${sessionId}`;
+  // User ids may contain anything; the file store only keeps safe characters
+  const userKey = userId => `summaries-${crypto.createHash('sha256').update(String(userId)).digest('base64url')}`;
+
+  const get = async (sessionId) => store.get(summaryKey(sessionId));
+
+  return {
+    async save(summary) {
+      await store.set(summaryKey(summary.sessionId), summary, SUMMARY_TTL_MS);
+      if (!summary.userId) return;
+
+      const index = (await store.get(userKey(summary.userId))) || [];
+      const sessionIds = [summary.sessionId, ...index.filter(id => id !== summary.sessionId)].slice(0, MAX_SUMMARIES_PER_USER);
+      await store.set(userKey(summary.userId), sessionIds, SUMMARY_TTL_MS);
+    },
+
+    get,
+
+    /**
+     * A user's summaries, newest first (expired ones are skipped)
+     */
+    async listForUser(userId, limit = MAX_SUMMARIES_PER_USER) {
+      if (!userId) return [];
+      const sessionIds = (await store.get(userKey(userId))) || [];
+      const summaries = await Promise.all(sessionIds.slice(0, limit).map(get));
+      return summaries.filter(Boolean);
+    }
+  };
+}
@@ -0,0 +1,141 @@
+// speakingStyle.js - Emotion-adaptive delivery for spoken replies
+//
+// Each reply sentence is spoken in a tone: an Azure speaking style, style degree and
+// prosody rate. The tone follows the client's mood on this turn (see mood.js) - gentle
+// for grief, calmer and slower for panic - and otherwise the feeling of the sentence
+// itself. The model can override it by starting a sentence with a [tone:name] tag; tags
+// are removed before the text is shown, spoken or stored.
+
+import { analyzeWithLexicon } from './mood.js';
+
+// style: mstts:express-as style (null keeps the voice's own), rate: multiplier on the voice's pace
+export const TONES = {
+  warm: { style: null, styleDegree: 1.3, rate: 1 },
+  gentle: { style: 'gentle', styleDegree: 1.2, rate: 0.92 },
+  empathetic: { style: 'empathetic', styleDegree: 1.3, rate: 0.95 },
+  calm: { style: 'calm', styleDegree: 1.4, rate: 0.86 },
+  hopeful: { style: 'hopeful', styleDegree: 1.1, rate: 1 },
+  cheerful: { style: 'cheerful', styleDegree: 1, rate: 1.03 },
+  serious: { style: 'serious', styleDegree: 1, rate: 0.95 }
+};
+
+const DEFAULT_TONE = 'warm';
+
+// Tone for a client whose strongest emotion on the turn is negative
+const EMOTION_TONES = {
+  fear: 'calm',
+  anger: 'calm',
+  sadness: 'gentle',
+  shame: 'empathetic'
+};
+
+// Client sentiment at or beyond this drives the tone; milder moods leave it to the sentence
+const STRONG_MOOD = 0.4;
+
+// Azure accepts style degrees from 0.01 to 2
+const MAX_STYLE_DEGREE = 2;
+
+const TONE_TAG = /\[tone:\s*([a-z]+)\s*\]\s*/gi;
+
+// Trailing whitespace or a fragment that may still grow into a tag ("[", "[to", "[tone:ca")
+const PARTIAL_TONE_TAG = /\s*(?:\[(?:t(?:o(?:n(?:e(?::\s*[a-z]*)?)?)?)?)?)?$/i;
+
+/**
+ * System note describing the tags the model may use
+ */
+export function getToneTagInstructions() {
+  const tags = Object.keys(TONES).filter(tone => tone !== DEFAULT_TONE).map(tone => `[tone:${tone}]`);
+  return `VOICE: Your reply is spoken aloud. When a sentence needs a particular delivery, you may start it with one of ${tags.join(', ')}. Tags are removed before the client sees or hears the reply. Use them sparingly and never mention them.`;
+}
+
+/**
+ * Remove tone tags and the whitespace after them from a text. The space before a tag
+ * is kept; a tag squeezed between two words or sentences becomes a single space.
+ */
+export function stripToneTags(text) {
+  return text.replace(TONE_TAG, (tag, name, offset) => {
+    const before = text[offset - 1];
+    const after = text[offset + tag.length];
+    return before && after && !/\s/.test(before) ? ' ' : '';
+  });
+}
+
+/**
+ * Take the tone tag off a sentence
+ * @returns {{ text: string, tone: string|null }} - tone is the last known tag in the sentence
+ */
+export function parseToneTags(sentence) {
+  let tone = null;
+  for (const [, name] of sentence.matchAll(TONE_TAG)) {
+    if (TONES[name.toLowerCase()]) tone = name.toLowerCase();
+  }
+  return { text: stripToneTags(sentence).trim(), tone };
+}
+
+/**
+ * Strip tone tags from streamed text. A tag can arrive split across deltas, so a
+ * trailing fragment that may still become one (and the whitespace before it) is held
+ * back until the next delta.
+ * @returns {{ push: Function, flush: Function }} - push(delta) and flush() return the text to show
+ */
+export function createToneTagFilter() {
+  let held = '';
+  // Last character shown, so a tag right after it is replaced as in stripToneTags
+  let last = '';
+  // A tag opening the reply leaves the space after it at the front
+  let started = false;
+
+  return {
+    push(delta) {
+      const text = stripToneTags(last + held + delta).slice(last.length);
+      const partial = PARTIAL_TONE_TAG.exec(text);
+      held = partial[0];
+      const shown = started ? text.slice(0, partial.index) : text.slice(0, partial.index).trimStart();
+      started = started || shown.length > 0;
+      last = shown.slice(-1) || last;
+      return shown;
+    },
+
+    flush() {
+      const rest = held;
+      held = '';
+      return rest;
+    }
+  };
+}
+
+/**
+ * Pick how a reply sentence is spoken
+ * @param {string} sentence - Reply sentence (tags already removed)
+ * @param {Object} [context]
+ * @param {string} [context.tone] - Tone the model asked for with a tag
+ * @param {Object} [context.mood] - The client's mood on this turn (see mood.js)
+ * @returns {{ tone: string, style: string|null, styleDegree: number, rate: number }}
+ */
+export function chooseExpression(sentence, { tone, mood } = {}) {
+  if (tone && TONES[tone]) {
+    return { tone, ...TONES[tone] };
+  }
+
+  const intensity = Math.abs(mood?.sentiment || 0);
+  const moodTone = mood?.label === 'negative' && EMOTION_TONES[mood.dominantEmotion];
+  if (moodTone && intensity >= STRONG_MOOD) {
+    // The more distressed the client, the stronger the style and the slower the pace
+    const base = TONES[moodTone];
+    return {
+      tone: moodTone,
+      ...base,
+      styleDegree: Math.round(Math.min(MAX_STYLE_DEGREE, base.styleDegree + intensity * 0.5) * 100) / 100,
+      rate: base.rate < 1 ? Math.round((base.rate - intensity * 0.06) * 100) / 100 : base.rate
+    };
+  }
+
+  const sentenceMood = analyzeWithLexicon(sentence);
+  let sentenceTone = DEFAULT_TONE;
+  if (sentenceMood.label === 'positive') {
+    sentenceTone = mood?.label === 'positive' ? 'cheerful' : 'hopeful';
+  } else if (sentenceMood.label === 'negative' || moodTone) {
+    sentenceTone = moodTone || 'empathetic';
+  }
+  return { tone: sentenceTone, ...TONES[sentenceTone] };
+}
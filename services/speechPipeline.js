@@ -0,0 +1,200 @@
+// speechPipeline.js - Ordered sentence-by-sentence TTS for streamed replies
+//
+// The pipeline also keeps track of how much of the reply the client has heard: word
+// boundaries reported by the TTS provider show how far synthesis got, and playback
+// acknowledgements from the client (which plays behind synthesis) narrow that down.
+
+/**
+ * Create a pipeline that synthesizes sentences one at a time, in the order
+ * they were pushed, while the LLM is still generating the rest of the reply.
+ * @param {Object} options
+ * @param {Function} options.synthesize - (text, onAudioChunk, onError, onComplete, { onWordBoundary, onViseme, expression }) => { stop };
+ *   onWordBoundary receives { textOffset, wordLength, audioOffsetMs } for each word as it is rendered,
+ *   onViseme (only passed when options.onViseme is set) { visemeId, audioOffsetMs }; expression is
+ *   the delivery passed to push() for the sentence
+ * @param {Function} options.onAudio - Called with (audioChunk, { sequence, sentence }); `sequence`
+ *   numbers every chunk of the utterance, `sentence` is the index of the sentence it belongs to
+ * @param {Function} [options.onWordTiming] - Called with { sentence, word, textOffset, wordLength, offsetMs }
+ *   for each rendered word; offsetMs is from the start of that sentence's audio
+ * @param {Function} [options.onViseme] - Called with { sentence, visemeId, offsetMs }
+ * @param {Function} [options.onSentenceStart] - Called with the sentence index when its synthesis starts
+ * @param {Function} [options.onError] - Called with synthesis errors
+ * @param {Function} [options.onEnd] - Called exactly once with { chunks, sentences, interrupted }, either
+ *   after end() when every sentence has been spoken or when the pipeline is cancelled
+ * @returns {{ push: Function, end: Function, cancel: Function, isCancelled: Function, acknowledge: Function, getSpoken: Function, getHeardSentences: Function }}
+ */
+export function createSpeechPipeline({ synthesize, onAudio, onWordTiming, onViseme, onSentenceStart, onError, onEnd }) {
+  // Every pushed sentence: { text, words, complete } - complete once it was rendered to the end
+  const sentences = [];
+  const pending = [];
+  // Latest playback position acknowledged by the client
+  let playback = null;
+  let current = null;
+  let sentenceIndex = 0;
+  let chunkSequence = 0;
+  let ended = false;
+  let cancelled = false;
+  let finished = false;
+
+  const report = (interrupted) => {
+    if (finished) return;
+    finished = true;
+    if (onEnd) onEnd({ chunks: chunkSequence, sentences: sentenceIndex, interrupted });
+  };
+
+  const finish = () => {
+    if (!cancelled && ended && !current && pending.length === 0) {
+      report(false);
+    }
+  };
+
+  const next = () => {
+    if (cancelled || current || pending.length === 0) {
+      finish();
+      return;
+    }
+
+    const { text: sentence, expression } = pending.shift();
+    const index = sentenceIndex++;
+    const progress = sentences[index];
+    let settled = false;
+    let failed = false;
+
+    // Guard against synthesizers that report completion more than once
+    const done = () => {
+      if (settled) return;
+      settled = true;
+      current = null;
+      progress.complete = !cancelled && !failed;
+      next();
+    };
+
+    if (onSentenceStart) onSentenceStart(index);
+    const handle = synthesize(
+      sentence,
+      (audioChunk) => {
+        if (!cancelled) onAudio(audioChunk, { sequence: chunkSequence++, sentence: index });
+      },
+      (error) => {
+        failed = true;
+        if (!cancelled && onError) onError(error);
+      },
+      done,
+      {
+        onWordBoundary: (boundary) => {
+          if (cancelled) return;
+          progress.words.push(boundary);
+          if (onWordTiming) {
+            const { textOffset, wordLength, audioOffsetMs } = boundary;
+            onWordTiming({
+              sentence: index,
+              word: sentence.slice(textOffset, textOffset + wordLength),
+              textOffset,
+              wordLength,
+              offsetMs: audioOffsetMs
+            });
+          }
+        },
+        onViseme: onViseme && ((viseme) => {
+          if (!cancelled) onViseme({ sentence: index, visemeId: viseme.visemeId, offsetMs: viseme.audioOffsetMs });
+        }),
+        expression
+      }
+    );
+    // Synthesis may have completed synchronously and already moved on
+    if (!settled) current = handle;
+  };
+
+  return {
+    /**
+     * Queue a sentence, optionally with how it should be spoken (see speakingStyle.js)
+     */
+    push(sentence, { expression } = {}) {
+      if (cancelled || ended || !sentence) return;
+      sentences.push({ text: sentence, words: [], complete: false });
+      pending.push({ text: sentence, expression });
+      next();
+    },
+
+    end() {
+      ended = true;
+      finish();
+    },
+
+    cancel() {
+      if (cancelled) return;
+      cancelled = true;
+      pending.length = 0;
+      const active = current;
+      current = null;
+      if (active) {
+        try {
+          active.stop();
+        } catch (e) {
+          // Ignore - synthesis is being abandoned anyway
+        }
+      }
+      report(true);
+    },
+
+    isCancelled() {
+      return cancelled;
+    },
+
+    /**
+     * Record the client's playback position: { sentence, offsetMs } within the sentence's
+     * audio, or { finished: true } once the whole utterance has been played
+     */
+    acknowledge(position) {
+      playback = position;
+    },
+
+    /**
+     * What the client has heard so far. Without playback acknowledgements, everything
+     * synthesized counts as heard.
+     * @returns {{ text: string, complete: boolean }} - complete when every sentence was heard in full
+     */
+    getSpoken() {
+      const heard = [];
+      for (let index = 0; index < sentences.length; index++) {
+        const progress = sentences[index];
+        const text = heardText(progress, playback && !playback.finished ? playback : null, index);
+        if (text !== progress.text) {
+          if (text) heard.push(text);
+          return { text: heard.join(' '), complete: false };
+        }
+        heard.push(text);
+      }
+      return { text: heard.join(' '), complete: true };
+    },
+
+    /**
+     * How many sentences, from the first, the client has heard in full
+     */
+    getHeardSentences() {
+      const current = playback && !playback.finished ? playback : null;
+      const index = sentences.findIndex((progress, i) => heardText(progress, current, i) !== progress.text);
+      return index === -1 ? sentences.length : index;
+    }
+  };
+}
+
+/**
+ * The part of one sentence that was heard, up to the end of the last word that started
+ * before the playback position (or the last word rendered, without one)
+ */
+function heardText(progress, playback, index) {
+  if (playback && index > playback.sentence) return '';
+  if (!playback || index < playback.sentence) {
+    if (progress.complete) return progress.text;
+    playback = null;
+  }
+
+  const words = playback
+    ? progress.words.filter(word => word.audioOffsetMs <= playback.offsetMs)
+    : progress.words;
+  // Playback got into the sentence's last word
+  if (progress.complete && words.length > 0 && words.length === progress.words.length) return progress.text;
+  const last = words[words.length - 1];
+  return last ? progress.text.slice(0, last.textOffset + last.wordLength) : '';
+}
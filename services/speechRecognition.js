@@ -0,0 +1,221 @@
+// speechRecognition.js - Server-side speech recognition for streamed client audio
+//
+// Every provider implements the same recognizer contract:
+//   createRecognizer({ format, sampleRate, language, candidateLanguages, onPartial, onFinal, onError, onEnd })
+//     => { write(frame), end(), close() }
+// `write` accepts a Buffer/ArrayBuffer frame, `end` flushes the remaining audio and
+// triggers onEnd once the last result is out, `close` abandons recognition immediately.
+// onFinal(text, { language }) reports the language an utterance was heard in when the
+// provider identified it among `candidateLanguages`.
+
+import * as sdk from 'microsoft-cognitiveservices-speech-sdk';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+const SPEECH_KEY = process.env.AZURE_SPEECH_KEY;
+const SPEECH_REGION = process.env.AZURE_SPEECH_REGION;
+
+// Supported inbound audio formats
+export const AUDIO_FORMATS = {
+  PCM16: 'pcm16',         // Raw 16-bit little-endian mono PCM
+  OGG_OPUS: 'ogg-opus',   // Opus in an Ogg container
+  WEBM_OPUS: 'webm-opus'  // Opus in WebM (browser MediaRecorder default)
+};
+
+export const SAMPLE_RATES = [8000, 16000, 24000, 48000];
+
+// Azure continuous language identification accepts at most this many candidates
+const MAX_CANDIDATE_LANGUAGES = 10;
+
+/**
+ * Copy a Buffer/ArrayBuffer/typed array into a standalone ArrayBuffer
+ */
+function toArrayBuffer(frame) {
+  if (frame instanceof ArrayBuffer) return frame;
+  const bytes = Buffer.isBuffer(frame) ? frame : Buffer.from(frame);
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+/**
+ * Azure Speech SDK recognizer fed through a push stream
+ */
+function createAzureRecognizer({ format, sampleRate, language, candidateLanguages, onPartial, onFinal, onError, onEnd }) {
+  if (!SPEECH_KEY || !SPEECH_REGION) {
+    throw new Error('Azure credentials not configured');
+  }
+
+  const speechConfig = sdk.SpeechConfig.fromSubscription(SPEECH_KEY, SPEECH_REGION);
+  const identifyLanguage = Array.isArray(candidateLanguages) && candidateLanguages.length > 1;
+  if (identifyLanguage) {
+    // Every utterance is recognized in whichever candidate it was spoken in
+    speechConfig.setProperty(sdk.PropertyId.SpeechServiceConnection_LanguageIdMode, 'Continuous');
+  } else {
+    speechConfig.speechRecognitionLanguage = language;
+  }
+
+  let streamFormat;
+  switch (format) {
+    case AUDIO_FORMATS.OGG_OPUS:
+      streamFormat = sdk.AudioStreamFormat.getWaveFormat(sampleRate, 16, 1, sdk.AudioFormatTag.OGG_OPUS);
+      break;
+    case AUDIO_FORMATS.WEBM_OPUS:
+      streamFormat = sdk.AudioStreamFormat.getWaveFormat(sampleRate, 16, 1, sdk.AudioFormatTag.WEBM_OPUS);
+      break;
+    case AUDIO_FORMATS.PCM16:
+    default:
+      streamFormat = sdk.AudioStreamFormat.getWaveFormatPCM(sampleRate, 16, 1);
+  }
+
+  const pushStream = sdk.AudioInputStream.createPushStream(streamFormat);
+  const audioConfig = sdk.AudioConfig.fromStreamInput(pushStream);
+  const recognizer = identifyLanguage
+    ? sdk.SpeechRecognizer.FromConfig(
+      speechConfig,
+      sdk.AutoDetectSourceLanguageConfig.fromLanguages(candidateLanguages.slice(0, MAX_CANDIDATE_LANGUAGES)),
+      audioConfig
+    )
+    : new sdk.SpeechRecognizer(speechConfig, audioConfig);
+  let isClosed = false;
+
+  const close = () => {
+    if (isClosed) return;
+    isClosed = true;
+    recognizer.stopContinuousRecognitionAsync(
+      () => recognizer.close(),
+      () => recognizer.close()
+    );
+  };
+
+  recognizer.recognizing = (sender, event) => {
+    if (!isClosed && event.result.text) onPartial(event.result.text);
+  };
+
+  recognizer.recognized = (sender, event) => {
+    if (!isClosed && event.result.reason === sdk.ResultReason.RecognizedSpeech && event.result.text) {
+      const detected = identifyLanguage ? sdk.AutoDetectSourceLanguageResult.fromResult(event.result).language : null;
+      onFinal(event.result.text, { language: detected || undefined });
+    }
+  };
+
+  recognizer.canceled = (sender, event) => {
+    if (!isClosed && event.reason === sdk.CancellationReason.Error) {
+      onError(event.errorDetails);
+    }
+  };
+
+  // Fires after the push stream is closed and every pending result has been delivered
+  recognizer.sessionStopped = () => {
+    const wasClosed = isClosed;
+    close();
+    if (!wasClosed && onEnd) onEnd();
+  };
+
+  recognizer.startContinuousRecognitionAsync(
+    () => {},
+    error => {
+      if (!isClosed) onError(error);
+    }
+  );
+
+  return {
+    write(frame) {
+      if (!isClosed) pushStream.write(toArrayBuffer(frame));
+    },
+    end() {
+      if (!isClosed) pushStream.close();
+    },
+    close
+  };
+}
+
+/**
+ * Local stand-in recognizer for tests and offline development.
+ * Frames are read as UTF-8 text: every write emits a partial transcript, each
+ * newline-terminated line becomes a final transcript, and end() finalizes the rest.
+ */
+function createLocalRecognizer({ onPartial, onFinal, onEnd }) {
+  let transcript = '';
+  let isClosed = false;
+
+  return {
+    write(frame) {
+      if (isClosed) return;
+      transcript += Buffer.from(toArrayBuffer(frame)).toString('utf8');
+
+      const lines = transcript.split('\n');
+      transcript = lines.pop();
+      lines.map(line => line.trim()).filter(Boolean).forEach(line => onFinal(line));
+
+      if (transcript.trim()) onPartial(transcript.trim());
+    },
+    end() {
+      if (isClosed) return;
+      isClosed = true;
+      const last = transcript.trim();
+      transcript = '';
+      if (last) onFinal(last);
+      if (onEnd) onEnd();
+    },
+    close() {
+      isClosed = true;
+    }
+  };
+}
+
+const recognitionProviders = {
+  azure: createAzureRecognizer,
+  local: createLocalRecognizer
+};
+
+/**
+ * Register an additional recognition provider
+ * @param {string} name - Value to select it with STT_PROVIDER
+ * @param {Function} factory - Recognizer factory implementing the contract above
+ */
+export function registerRecognitionProvider(name, factory) {
+  recognitionProviders[name] = factory;
+}
+
+/**
+ * Name of the configured provider (STT_PROVIDER, default "azure")
+ */
+export function getRecognitionProviderName() {
+  return process.env.STT_PROVIDER || 'azure';
+}
+
+/**
+ * Start a streaming recognizer with the configured provider
+ * @param {Object} options
+ * @param {string} [options.format] - One of AUDIO_FORMATS (default pcm16)
+ * @param {number} [options.sampleRate] - Sample rate in Hz (default 16000)
+ * @param {string} [options.language] - Recognition locale (default en-US)
+ * @param {string[]} [options.candidateLanguages] - Locales to identify the spoken language among
+ *   (takes the place of `language` when there are several)
+ * @param {Function} options.onPartial - Interim hypothesis text
+ * @param {Function} options.onFinal - Final recognized utterance text, plus { language } when identified
+ * @param {Function} options.onError - Recognition error message
+ * @param {Function} [options.onEnd] - Called once after end() has flushed all results
+ * @returns {{ write: Function, end: Function, close: Function }}
+ */
+export function createRecognizer(options) {
+  const providerName = getRecognitionProviderName();
+  const factory = recognitionProviders[providerName];
+  if (!factory) {
+    throw new Error(`Unknown speech recognition provider: ${providerName}`);
+  }
+
+  return factory({
+    ...options,
+    format: options.format || AUDIO_FORMATS.PCM16,
+    sampleRate: options.sampleRate || 16000,
+    language: options.language || 'en-US'
+  });
+}
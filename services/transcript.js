@@ -0,0 +1,131 @@
+// transcript.js - Session transcript export
+//
+// Turns a session's timestamped conversationHistory into a downloadable record:
+// JSON (structured), Markdown or plain text. Each message gets a speaker label (the
+// persona's display name for the therapist). Safety and mood annotations stored on
+// history messages are only included on request.
+
+export const TRANSCRIPT_FORMATS = {
+  json: { mimeType: 'application/json', extension: 'json' },
+  md: { mimeType: 'text/markdown; charset=utf-8', extension: 'md' },
+  txt: { mimeType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+// History message fields that are exported as annotations
+const ANNOTATION_FIELDS = ['safety', 'mood'];
+
+const CLIENT_LABEL = 'Client';
+
+/**
+ * Structured transcript for a session
+ * @param {Object} session - Live session (conversationHistory, createdAt, region, locale)
+ * @param {Object} options - { persona, voiceConfig, annotations }
+ * @returns {Object}
+ */
+export function buildTranscript(session, { persona, voiceConfig, annotations = false }) {
+  const messages = session.conversationHistory.map(message => {
+    const entry = {
+      timestamp: message.timestamp || null,
+      role: message.role,
+      speaker: message.role === 'user' ? CLIENT_LABEL : persona.displayName,
+      text: message.content
+    };
+    if (message.interrupted) {
+      entry.interrupted = true;
+    }
+    if (annotations) {
+      for (const field of ANNOTATION_FIELDS) {
+        if (message[field]) {
+          entry.annotations = { ...entry.annotations, [field]: message[field] };
+        }
+      }
+    }
+    return entry;
+  });
+
+  return {
+    sessionStartedAt: session.createdAt,
+    exportedAt: new Date().toISOString(),
+    persona: { id: persona.id, displayName: persona.displayName },
+    voiceConfig,
+    region: session.region,
+    locale: session.locale || null,
+    messageCount: messages.length,
+    messages
+  };
+}
+
+function formatAnnotations({ safety, mood } = {}) {
+  const parts = [];
+  if (safety) {
+    parts.push(`safety: ${safety.level}${safety.categories?.length ? ` (${safety.categories.join(', ')})` : ''}`);
+  }
+  if (mood) {
+    parts.push(`mood: ${mood.label}${mood.dominantEmotion ? ` (${mood.dominantEmotion})` : ''}`);
+  }
+  return parts.join('; ');
+}
+
+function formatVoice(voiceConfig) {
+  return [voiceConfig.name, voiceConfig.gender, voiceConfig.style].filter(Boolean).join(', ');
+}
+
+function renderMarkdown(transcript) {
+  const lines = [
+    `# Session with ${transcript.persona.displayName}`,
+    '',
+    `- Started: ${transcript.sessionStartedAt}`,
+    `- Exported: ${transcript.exportedAt}`,
+    `- Voice: ${formatVoice(transcript.voiceConfig)}`,
+    ...(transcript.locale ? [`- Language: ${transcript.locale}`] : []),
+    ''
+  ];
+  for (const message of transcript.messages) {
+    const note = formatAnnotations(message.annotations);
+    lines.push(`**${message.speaker}** _${message.timestamp || 'unknown time'}_${message.interrupted ? ' _(interrupted)_' : ''}`);
+    lines.push('');
+    lines.push(message.text.split('\n').map(line => `> ${line}`).join('\n'));
+    if (note) {
+      lines.push('');
+      lines.push(`<sub>${note}</sub>`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function renderText(transcript) {
+  const lines = [
+    `Session with ${transcript.persona.displayName}`,
+    `Started: ${transcript.sessionStartedAt}`,
+    `Exported: ${transcript.exportedAt}`,
+    `Voice: ${formatVoice(transcript.voiceConfig)}`,
+    ...(transcript.locale ? [`Language: ${transcript.locale}`] : []),
+    ''
+  ];
+  for (const message of transcript.messages) {
+    const note = formatAnnotations(message.annotations);
+    lines.push(`[${message.timestamp || 'unknown time'}] ${message.speaker}: ${message.text}${message.interrupted ? ' (interrupted)' : ''}`);
+    if (note) {
+      lines.push(`    (${note})`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a transcript in one of TRANSCRIPT_FORMATS
+ * @returns {string}
+ */
+export function renderTranscript(transcript, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(transcript, null, 2);
+    case 'md':
+      return renderMarkdown(transcript);
+    case 'txt':
+      return renderText(transcript);
+    default:
+      throw new Error(`Unknown transcript format: ${format}`);
+  }
+}
@@ -0,0 +1,581 @@
+// ttsProviders.js - Text-to-speech providers behind one contract
+//
+// Every provider implements:
+//   { name, format, outputFormats, voices, isConfigured(), listVoices(), createSynthesizer() }
+// `voices` holds the default voice per gender, `outputFormats` maps format ids to
+// { mimeType } and `format` is the one in use. A synthesizer handles one request at a time:
+//   speak(text, voiceConfig, { onAudio, onWordBoundary, onViseme, onDone, onError }), stop(), close()
+// onAudio receives Buffers as they are rendered, then exactly one of onDone/onError
+// follows - unless stop() was called first, after which nothing is reported.
+// Providers that can time words call onWordBoundary({ textOffset, wordLength, audioOffsetMs })
+// as each word is rendered; offsets index into `text`, audioOffsetMs is from the start of its audio.
+// Providers with lip-sync data call onViseme({ visemeId, audioOffsetMs }) when it was passed in.
+
+import fs from 'fs';
+import * as sdk from 'microsoft-cognitiveservices-speech-sdk';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+const envPath = path.join(__dirname, '..', '.env');
+dotenv.config({ path: envPath });
+
+const logger = createLogger('tts');
+
+// Performance modes
+export const PERFORMANCE_MODES = {
+  FAST: 'fast',      // Minimal SSML, fastest response
+  BALANCED: 'balanced', // Some SSML, good balance
+  QUALITY: 'quality'  // Full SSML, most natural
+};
+
+// Default Azure neural voice per gender
+const AZURE_VOICES = {
+  female: {
+    name: 'en-US-AvaNeural',
+    style: 'warm',
+    description: 'Warm, empathetic female therapist with natural intonation'
+  },
+  male: {
+    name: 'en-US-AndrewNeural',
+    style: 'friendly',
+    description: 'Warm, compassionate male therapist with conversational tone'
+  }
+};
+
+const AZURE_OUTPUT_FORMATS = {
+  'mp3-24khz': { mimeType: 'audio/mpeg', sdkFormat: sdk.SpeechSynthesisOutputFormat.Audio24Khz160KBitRateMonoMp3 },
+  'ogg-opus-24khz': { mimeType: 'audio/ogg', sdkFormat: sdk.SpeechSynthesisOutputFormat.Ogg24Khz16BitMonoOpus },
+  'webm-opus-24khz': { mimeType: 'audio/webm', sdkFormat: sdk.SpeechSynthesisOutputFormat.Webm24Khz16BitMonoOpus },
+  'wav-24khz': { mimeType: 'audio/wav', sdkFormat: sdk.SpeechSynthesisOutputFormat.Riff24Khz16BitMonoPcm }
+};
+
+/**
+ * Pick TTS_OUTPUT_FORMAT if the provider supports it, otherwise its default
+ */
+function selectFormat(providerName, outputFormats, defaultFormat) {
+  const requested = process.env.TTS_OUTPUT_FORMAT;
+  if (!requested) return defaultFormat;
+  if (outputFormats[requested]) return requested;
+
+  logger.warn('Unsupported output format, using default', { provider: providerName, requested, format: defaultFormat });
+  return defaultFormat;
+}
+
+/**
+ * Describe a provider's default voices for listVoices()
+ */
+function describeVoices(voices, locale) {
+  return Object.entries(voices).map(([gender, voice]) => ({ gender, locale, ...voice }));
+}
+
+/**
+ * Locate reported words in the plain text, in order. Azure's own offsets point into the
+ * SSML document, which the performance modes rewrite.
+ * @returns {Function} - (word) => textOffset, or -1 when the word is not in the text
+ */
+function createWordLocator(text) {
+  let cursor = 0;
+  return (word) => {
+    const offset = word ? text.indexOf(word, cursor) : -1;
+    if (offset !== -1) cursor = offset + word.length;
+    return offset;
+  };
+}
+
+/**
+ * Scale a voice's prosody rate by a sentence's expression
+ */
+function scaleRate(rate, expression) {
+  return (rate * (expression?.rate || 1)).toFixed(2);
+}
+
+// Longest single SSML break Azure renders; longer pauses are chained
+const MAX_BREAK_MS = 5000;
+
+/**
+ * SSML breaks adding up to a pause
+ */
+function renderPause(pauseMs) {
+  const breaks = [];
+  for (let remaining = Math.round(pauseMs || 0); remaining > 0; remaining -= MAX_BREAK_MS) {
+    breaks.push(`<break time="${Math.min(remaining, MAX_BREAK_MS)}ms"/>`);
+  }
+  return breaks.join('');
+}
+
+/**
+ * Escape a value for a double-quoted SSML attribute
+ */
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Generate optimized SSML based on performance mode. A sentence's `expression`
+ * ({ style, styleDegree, rate, pauseMs }, see speakingStyle.js) sets the style in QUALITY
+ * mode and the pace in QUALITY and BALANCED modes; pauseMs (silence after the sentence,
+ * used by guided exercises) applies in every mode.
+ */
+function generateOptimizedSSML(text, voiceConfig) {
+  const { gender, style, performanceMode, expression } = voiceConfig;
+  const voiceName = escapeAttribute(voiceConfig.voiceName);
+  const locale = escapeAttribute(voiceConfig.locale || 'en-US');
+
+  // Escape XML characters
+  const escapedText = text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+  const pause = renderPause(expression?.pauseMs);
+
+  switch (performanceMode) {
+    case PERFORMANCE_MODES.FAST:
+      // Minimal SSML - just voice selection, no prosody
+      return `<speak version="1.0" xml:lang="${locale}"><voice name="${voiceName}">${escapedText}${pause}</voice></speak>`;
+
+    case PERFORMANCE_MODES.BALANCED:
+      // Basic prosody without complex styling
+      const isFemale = gender === 'female';
+      return `<speak version="1.0" xml:lang="${locale}">
+        <voice name="${voiceName}">
+          <prosody rate="${scaleRate(isFemale ? 0.95 : 0.9, expression)}" pitch="${isFemale ? '+2%' : '+1%'}" volume="+5%">
+            ${escapedText}
+          </prosody>${pause}
+        </voice>
+      </speak>`;
+
+    case PERFORMANCE_MODES.QUALITY:
+    default:
+      // Full SSML with natural speech patterns
+      const isFemaleQ = gender === 'female';
+      const voiceStyle = escapeAttribute(expression?.style || style || AZURE_VOICES[gender].style);
+      const styleDegree = expression?.styleDegree || 1.3;
+
+      const processedText = escapedText
+        .replace(/\?/, '<break time="200ms"/>?')
+        .replace(/\./g, '<break time="150ms"/>.')
+        .replace(/,/g, '<break time="100ms"/>,')
+        .replace(/!/g, '<break time="150ms"/>!');
+
+      return `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis"
+             xmlns:mstts="http://www.w3.org/2001/mstts" xml:lang="${locale}">
+        <voice name="${voiceName}">
+          <mstts:express-as style="${voiceStyle}" styledegree="${styleDegree}">
+            <prosody rate="${scaleRate(isFemaleQ ? 0.95 : 0.9, expression)}" pitch="${isFemaleQ ? '+3%' : '+2%'}" volume="+8%">
+              <break time="50ms"/>
+              ${processedText}
+              <break time="200ms"/>
+            </prosody>
+          </mstts:express-as>${pause}
+        </voice>
+      </speak>`;
+  }
+}
+
+/**
+ * Azure Cognitive Services neural voices. Audio is forwarded from the
+ * synthesizer's `synthesizing` events as it is rendered.
+ */
+function createAzureProvider() {
+  const speechKey = process.env.AZURE_SPEECH_KEY;
+  const speechRegion = process.env.AZURE_SPEECH_REGION;
+  const format = selectFormat('azure', AZURE_OUTPUT_FORMATS, 'mp3-24khz');
+
+  const createSpeechSynthesizer = () => {
+    const speechConfig = sdk.SpeechConfig.fromSubscription(speechKey, speechRegion);
+    // Default voice only - every request selects its own voice through SSML
+    speechConfig.speechSynthesisVoiceName = AZURE_VOICES.female.name;
+    speechConfig.speechSynthesisOutputFormat = AZURE_OUTPUT_FORMATS[format].sdkFormat;
+
+    return new sdk.SpeechSynthesizer(speechConfig);
+  };
+
+  return {
+    name: 'azure',
+    format,
+    outputFormats: AZURE_OUTPUT_FORMATS,
+    voices: AZURE_VOICES,
+
+    isConfigured() {
+      return !!(speechKey && speechRegion);
+    },
+
+    listVoices() {
+      return describeVoices(AZURE_VOICES, 'en-US');
+    },
+
+    createSynthesizer() {
+      let synthesizer = null;
+      let current = null;
+
+      // An interrupted or failed synthesizer may still deliver its result - never reuse it
+      const discard = () => {
+        if (synthesizer) {
+          try {
+            synthesizer.close();
+          } catch (e) {
+            // Ignore
+          }
+          synthesizer = null;
+        }
+      };
+
+      return {
+        speak(text, voiceConfig, { onAudio, onWordBoundary, onViseme, onDone, onError }) {
+          if (!synthesizer) {
+            synthesizer = createSpeechSynthesizer();
+          }
+          const request = { stopped: false };
+          current = request;
+          let streamedChunks = 0;
+          const locateWord = createWordLocator(text);
+
+          synthesizer.wordBoundary = (sender, event) => {
+            if (request.stopped || !onWordBoundary) return;
+            if (event.boundaryType !== undefined && event.boundaryType !== sdk.SpeechSynthesisBoundaryType.Word) return;
+            const textOffset = locateWord(event.text);
+            if (textOffset === -1) return;
+            onWordBoundary({
+              textOffset,
+              wordLength: event.text.length,
+              // Reported in 100-nanosecond ticks
+              audioOffsetMs: Math.round(event.audioOffset / 10000)
+            });
+          };
+
+          // Azure only renders viseme data while someone is listening for it
+          synthesizer.visemeReceived = onViseme
+            ? (sender, event) => {
+              if (request.stopped) return;
+              onViseme({ visemeId: event.visemeId, audioOffsetMs: Math.round(event.audioOffset / 10000) });
+            }
+            : undefined;
+
+          // Slots are reused, so rebind per request
+          synthesizer.synthesizing = (sender, event) => {
+            if (request.stopped) return;
+            const audioData = event.result && event.result.audioData;
+            if (audioData && audioData.byteLength > 0) {
+              streamedChunks++;
+              onAudio(Buffer.from(audioData));
+            }
+          };
+
+          synthesizer.speakSsmlAsync(
+            generateOptimizedSSML(text, voiceConfig),
+            result => {
+              if (request.stopped) return;
+              current = null;
+              if (result.reason === sdk.ResultReason.SynthesizingAudioCompleted) {
+                // Only send the full buffer if no incremental chunks arrived
+                if (streamedChunks === 0 && result.audioData && result.audioData.byteLength > 0) {
+                  onAudio(Buffer.from(result.audioData));
+                }
+                onDone();
+              } else {
+                onError(`Speech synthesis failed: ${result.reason}`);
+              }
+            },
+            error => {
+              if (request.stopped) return;
+              current = null;
+              discard();
+              onError(`TTS Error: ${error}`);
+            }
+          );
+        },
+
+        stop() {
+          if (!current) return;
+          current.stopped = true;
+          current = null;
+          try {
+            if (synthesizer && typeof synthesizer.stopSpeakingAsync === 'function') {
+              synthesizer.stopSpeakingAsync();
+            }
+          } catch (e) {
+          }
+          discard();
+        },
+
+        close() {
+          if (current) current.stopped = true;
+          current = null;
+          discard();
+        }
+      };
+    }
+  };
+}
+
+const LOCAL_SAMPLE_RATE = 16000;
+const LOCAL_CHUNK_MS = 100;
+const LOCAL_MS_PER_WORD = 250;
+const LOCAL_MAX_MS = 10000;
+
+const LOCAL_VOICES = {
+  female: {
+    name: 'local-tone-high',
+    style: 'tone',
+    description: 'Offline stand-in: 330 Hz tone paced like speech'
+  },
+  male: {
+    name: 'local-tone-low',
+    style: 'tone',
+    description: 'Offline stand-in: 220 Hz tone paced like speech'
+  }
+};
+
+const LOCAL_OUTPUT_FORMATS = {
+  'wav-16khz': { mimeType: 'audio/wav' }
+};
+
+const FIXTURE_MIME_TYPES = {
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.webm': 'audio/webm'
+};
+
+/**
+ * Mono 16-bit WAV of a soft sine tone, roughly as long as the text would take to say,
+ * followed by `pauseMs` of silence
+ */
+function renderTone(text, gender, pauseMs = 0) {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const durationMs = Math.min(LOCAL_MAX_MS, Math.max(LOCAL_CHUNK_MS, words * LOCAL_MS_PER_WORD));
+  const toneSamples = Math.round(LOCAL_SAMPLE_RATE * durationMs / 1000);
+  const samples = toneSamples + Math.round(LOCAL_SAMPLE_RATE * pauseMs / 1000);
+  const frequency = gender === 'male' ? 220 : 330;
+
+  const wav = Buffer.alloc(44 + samples * 2);
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + samples * 2, 4);
+  wav.write('WAVE', 8);
+  wav.write('fmt ', 12);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20); // PCM
+  wav.writeUInt16LE(1, 22); // Mono
+  wav.writeUInt32LE(LOCAL_SAMPLE_RATE, 24);
+  wav.writeUInt32LE(LOCAL_SAMPLE_RATE * 2, 28);
+  wav.writeUInt16LE(2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write('data', 36);
+  wav.writeUInt32LE(samples * 2, 40);
+
+  // The silence is already zeroed
+  for (let i = 0; i < toneSamples; i++) {
+    wav.writeInt16LE(Math.round(Math.sin(2 * Math.PI * frequency * i / LOCAL_SAMPLE_RATE) * 3000), 44 + i * 2);
+  }
+  return wav;
+}
+
+/**
+ * Header length and layout of a RIFF/WAVE file
+ * @returns {{ headerBytes: number, dataBytes: number, byteRate: number, blockAlign: number, pcm: boolean }|null}
+ *   - null for anything that isn't a WAV file with a format and data chunk
+ */
+function parseWavHeader(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+  let format = null;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ' && size >= 16 && offset + 24 <= buffer.length) {
+      format = {
+        audioFormat: buffer.readUInt16LE(offset + 8),
+        byteRate: buffer.readUInt32LE(offset + 16),
+        blockAlign: buffer.readUInt16LE(offset + 20),
+        bitsPerSample: buffer.readUInt16LE(offset + 22)
+      };
+    }
+    if (id === 'data') {
+      if (!format || !format.byteRate || !format.blockAlign) return null;
+      return {
+        headerBytes: offset + 8,
+        dataBytes: Math.min(size, buffer.length - offset - 8),
+        byteRate: format.byteRate,
+        blockAlign: format.blockAlign,
+        // Integer (16 bits and up) and float PCM are silent at zero
+        pcm: (format.audioFormat === 1 && format.bitsPerSample >= 16) || format.audioFormat === 3
+      };
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+/**
+ * A PCM WAV file followed by `pauseMs` of silence (any chunks after the samples are dropped)
+ */
+function appendSilence(audio, wav, pauseMs) {
+  const silenceBytes = Math.round(wav.byteRate * pauseMs / 1000 / wav.blockAlign) * wav.blockAlign;
+  if (silenceBytes === 0) return audio;
+  const dataEnd = wav.headerBytes + wav.dataBytes;
+  const padded = Buffer.concat([audio.subarray(0, dataEnd), Buffer.alloc(silenceBytes)]);
+  padded.writeUInt32LE(padded.length - 8, 4);
+  padded.writeUInt32LE(wav.dataBytes + silenceBytes, wav.headerBytes - 4);
+  return padded;
+}
+
+/**
+ * Offline stand-in for development and tests. Renders a tone per sentence (or replays
+ * TTS_LOCAL_FIXTURE for every sentence) in 100 ms chunks, asynchronously so it can be
+ * stopped midway. TTS_LOCAL_REALTIME=true paces the chunks at playback speed.
+ * Word boundaries are spread evenly over the tone; exercise pauses are rendered as silence
+ * (after a compressed fixture, which can't carry it, the pause is only waited out).
+ */
+function createLocalProvider() {
+  const fixturePath = process.env.TTS_LOCAL_FIXTURE;
+  const realtime = process.env.TTS_LOCAL_REALTIME === 'true';
+  const chunkBytes = LOCAL_SAMPLE_RATE * 2 * LOCAL_CHUNK_MS / 1000;
+  // { audio, wav, headerBytes, chunkBytes } - wav is null for formats other than WAV
+  let fixture = null;
+
+  if (fixturePath) {
+    try {
+      const audio = fs.readFileSync(fixturePath);
+      const wav = parseWavHeader(audio);
+      fixture = {
+        audio,
+        wav,
+        headerBytes: wav ? wav.headerBytes : 0,
+        chunkBytes: wav ? Math.max(1, Math.round(wav.byteRate * LOCAL_CHUNK_MS / 1000 / wav.blockAlign)) * wav.blockAlign : chunkBytes
+      };
+    } catch (error) {
+      logger.error('Could not load fixture, using tones', { file: fixturePath, error: error.message });
+    }
+  }
+
+  const format = fixture ? 'fixture' : 'wav-16khz';
+  const outputFormats = fixture
+    ? { fixture: { mimeType: FIXTURE_MIME_TYPES[path.extname(fixturePath).toLowerCase()] || 'application/octet-stream' } }
+    : LOCAL_OUTPUT_FORMATS;
+
+  return {
+    name: 'local',
+    format,
+    outputFormats,
+    voices: LOCAL_VOICES,
+
+    isConfigured() {
+      return true;
+    },
+
+    listVoices() {
+      return describeVoices(LOCAL_VOICES, 'und');
+    },
+
+    createSynthesizer() {
+      let timeoutId = null;
+
+      const stop = () => {
+        clearTimeout(timeoutId);
+        timeoutId = null;
+      };
+
+      return {
+        speak(text, voiceConfig, { onAudio, onWordBoundary, onDone }) {
+          const pauseMs = voiceConfig.expression?.pauseMs || 0;
+          const silent = !fixture || fixture.wav?.pcm;
+          const headerBytes = fixture ? fixture.headerBytes : 44;
+          const sentenceChunkBytes = fixture ? fixture.chunkBytes : chunkBytes;
+          let audio;
+          if (!fixture) {
+            audio = renderTone(text, voiceConfig.gender, pauseMs);
+          } else {
+            audio = silent ? appendSilence(fixture.audio, fixture.wav, pauseMs) : fixture.audio;
+          }
+          // A pause the audio can't carry is waited out (at playback speed only) before onDone
+          const pauseInAudioMs = silent ? pauseMs : 0;
+          const waitMs = realtime ? pauseMs - pauseInAudioMs : 0;
+          // Words are spread over the tone (or recording), not the pause after it
+          const durationMs = fixture?.wav
+            ? Math.round(fixture.wav.dataBytes * 1000 / fixture.wav.byteRate)
+            : Math.ceil((audio.length - headerBytes) / sentenceChunkBytes) * LOCAL_CHUNK_MS - pauseInAudioMs;
+          // Words without surrounding punctuation, like Azure reports them
+          const words = [...text.matchAll(/[\p{L}\p{N}'’-]+/gu)];
+          let offset = 0;
+          let nextWord = 0;
+
+          const finish = () => {
+            timeoutId = null;
+            onDone();
+          };
+
+          const sendNext = () => {
+            if (offset >= audio.length) {
+              if (waitMs > 0) {
+                timeoutId = setTimeout(finish, waitMs);
+              } else {
+                finish();
+              }
+              return;
+            }
+            // The first chunk carries the WAV header along with its samples
+            const end = Math.min(audio.length, (offset === 0 ? headerBytes : offset) + sentenceChunkBytes);
+            const renderedMs = Math.ceil((end - headerBytes) / sentenceChunkBytes) * LOCAL_CHUNK_MS;
+            // Words that start within this chunk
+            while (onWordBoundary && nextWord < words.length) {
+              const audioOffsetMs = Math.round(durationMs * nextWord / words.length);
+              if (audioOffsetMs >= renderedMs) break;
+              const word = words[nextWord++];
+              onWordBoundary({ textOffset: word.index, wordLength: word[0].length, audioOffsetMs });
+            }
+            onAudio(audio.subarray(offset, end));
+            offset = end;
+            timeoutId = setTimeout(sendNext, realtime ? LOCAL_CHUNK_MS : 0);
+          };
+
+          timeoutId = setTimeout(sendNext, 0);
+        },
+        stop,
+        close: stop
+      };
+    }
+  };
+}
+
+const ttsProviders = {
+  azure: createAzureProvider,
+  local: createLocalProvider
+};
+
+/**
+ * Register an additional TTS provider
+ * @param {string} name - Value to select it with TTS_PROVIDER
+ * @param {Function} factory - () => provider implementing the contract above
+ */
+export function registerTTSProvider(name, factory) {
+  ttsProviders[name] = factory;
+}
+
+/**
+ * Name of the configured provider (TTS_PROVIDER, default "azure")
+ */
+export function getTTSProviderName() {
+  return process.env.TTS_PROVIDER || 'azure';
+}
+
+/**
+ * Create a TTS provider (defaults to the configured one)
+ */
+export function createTTSProvider(providerName = getTTSProviderName()) {
+  const factory = ttsProviders[providerName];
+  if (!factory) {
+    throw new Error(`Unknown TTS provider: ${providerName}`);
+  }
+  return factory();
+}